@@ -0,0 +1,217 @@
+/**
+ * Missed-message catch-up for Tlon
+ * Tracks the newest message seen per conversation (its watermark) and, after
+ * a restart or reconnect, fetches what arrived since then as updates shaped
+ * like live subscription events, so the normal handlers process them.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { resolveStateDir } from "./store.js";
+
+export const DEFAULT_CATCH_UP_MAX_AGE_MINUTES = 60;
+
+// Most posts or writs fetched per conversation when catching up
+export const CATCH_UP_FETCH_COUNT = 100;
+
+// Watermark changes are batched into one write per interval
+const WATERMARK_SAVE_DELAY_MS = 2000;
+
+/**
+ * Resolves catch-up settings for an account
+ * `catchUp: false` disables catch-up and watermark tracking.
+ */
+export function resolveCatchUpOptions(account) {
+  const config = account?.catchUp;
+  const maxAgeMinutes = Number(config?.maxAgeMinutes);
+  return {
+    enabled: config !== false && config?.enabled !== false,
+    maxAgeMs: (Number.isFinite(maxAgeMinutes) && maxAgeMinutes > 0
+      ? maxAgeMinutes
+      : DEFAULT_CATCH_UP_MAX_AGE_MINUTES) * 60 * 1000,
+    file: path.join(resolveStateDir(account?.accountId), "watermarks.json"),
+  };
+}
+
+/**
+ * Creates a watermark store
+ * Watermarks are the `sent` time of the newest message seen, keyed like the
+ * message store: a channel nest, `dm/~ship` or `club/<id>`. They only move
+ * forward and are saved to one JSON file.
+ */
+export function createWatermarkStore({ file, runtime }) {
+  const watermarks = new Map();
+  let saveTimer = null;
+  let saving = Promise.resolve();
+
+  const save = () => {
+    saving = saving.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(Object.fromEntries(watermarks)));
+      await fs.promises.rename(`${file}.tmp`, file);
+    }).catch((error) => {
+      runtime?.error?.(`[tlon] Failed to save watermarks: ${error.message}`);
+    });
+    return saving;
+  };
+
+  return {
+    /**
+     * Loads saved watermarks from disk
+     */
+    async load() {
+      try {
+        const saved = JSON.parse(await fs.promises.readFile(file, "utf8"));
+        for (const [key, time] of Object.entries(saved || {})) {
+          if (Number.isFinite(time)) watermarks.set(key, time);
+        }
+        runtime?.log?.(`[tlon] Loaded watermarks for ${watermarks.size} conversation(s)`);
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          runtime?.error?.(`[tlon] Failed to load watermarks from ${file}: ${error.message}`);
+        }
+      }
+    },
+
+    /**
+     * Returns a conversation's watermark, or null if it has none
+     */
+    get(key) {
+      return watermarks.get(key) ?? null;
+    },
+
+    /**
+     * Moves a conversation's watermark forward to `time`
+     */
+    advance(key, time) {
+      if (!Number.isFinite(time) || time <= (watermarks.get(key) ?? 0)) return;
+      watermarks.set(key, time);
+      if (saveTimer) return;
+      saveTimer = setTimeout(() => {
+        saveTimer = null;
+        save();
+      }, WATERMARK_SAVE_DELAY_MS);
+      saveTimer.unref?.();
+    },
+
+    /**
+     * Writes pending changes, e.g. before shutdown
+     */
+    async flush() {
+      if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        save();
+      }
+      await saving;
+    },
+  };
+}
+
+/**
+ * Lists `[id, item]` pairs from a scry result keyed by id or given as an array
+ */
+function entriesOf(data) {
+  if (Array.isArray(data)) {
+    return data.map((item) => [item?.seal?.id, item]);
+  }
+  return data && typeof data === "object" ? Object.entries(data) : [];
+}
+
+/**
+ * Orders missed messages oldest first and returns their updates
+ */
+function sortMissed(missed) {
+  return missed
+    .sort((a, b) => a.sent - b.sent)
+    .map(({ update }) => update);
+}
+
+/**
+ * Fetches channel posts and thread replies sent after `since`
+ * Format: /channels/v4/<channel-nest>/posts/newest/<count>/post.json
+ * Threads with newer replies whose replies weren't included are fetched
+ * post by post. Returns updates shaped like the channel subscription's.
+ */
+export async function fetchMissedChannelUpdates(api, channelNest, since) {
+  const data = await api.scry(`/channels/v4/${channelNest}/posts/newest/${CATCH_UP_FETCH_COUNT}/post.json`);
+  const missed = [];
+
+  for (const [id, post] of entriesOf(data?.posts ?? data)) {
+    const postId = post?.seal?.id || id;
+    if (!post?.essay || !postId) continue;
+
+    if (post.essay.sent > since) {
+      missed.push({
+        sent: post.essay.sent,
+        update: { response: { post: { id: postId, "r-post": { set: post } } } },
+      });
+    }
+
+    let replies = post.seal.replies;
+    if (!replies && post.seal.meta?.replyCount > 0 && post.seal.meta.lastReply > since) {
+      const full = await api.scry(`/channels/v4/${channelNest}/posts/post/${postId}.json`);
+      replies = full?.seal?.replies;
+    }
+
+    for (const [replyId, reply] of entriesOf(replies)) {
+      if (!(reply?.memo?.sent > since)) continue;
+      missed.push({
+        sent: reply.memo.sent,
+        update: {
+          response: {
+            post: {
+              id: postId,
+              "r-post": { reply: { id: reply.seal?.id || replyId, "r-reply": { set: reply } } },
+            },
+          },
+        },
+      });
+    }
+  }
+
+  return sortMissed(missed);
+}
+
+/**
+ * Fetches chat writs sent after `since` and shapes them with `toUpdate`
+ */
+async function fetchMissedWrits(api, scryPath, since, toUpdate) {
+  const data = await api.scry(scryPath);
+  const missed = [];
+
+  for (const [id, writ] of entriesOf(data?.writs ?? data)) {
+    // Newer chat versions call the memo an essay
+    const memo = writ?.essay || writ?.memo;
+    if (!(memo?.sent > since)) continue;
+    missed.push({ sent: memo.sent, update: toUpdate(writ.seal?.id || id, memo) });
+  }
+
+  return sortMissed(missed);
+}
+
+/**
+ * Fetches DM messages sent after `since`
+ * Format: /chat/dm/<ship>/writs/newest/<count>/light.json
+ */
+export function fetchMissedDmUpdates(api, ship, since) {
+  return fetchMissedWrits(
+    api,
+    `/chat/dm/${ship}/writs/newest/${CATCH_UP_FETCH_COUNT}/light.json`,
+    since,
+    (id, memo) => ({ id, response: { add: { memo } } })
+  );
+}
+
+/**
+ * Fetches group DM (club) messages sent after `since`
+ * Format: /chat/club/<id>/writs/newest/<count>/light.json
+ */
+export function fetchMissedClubUpdates(api, clubId, since) {
+  return fetchMissedWrits(
+    api,
+    `/chat/club/${clubId}/writs/newest/${CATCH_UP_FETCH_COUNT}/light.json`,
+    since,
+    (id, memo) => ({ id, response: { add: { memo } } })
+  );
+}
@@ -0,0 +1,122 @@
+/**
+ * Cite resolution for Tlon
+ * Turns `cite` blocks (references to posts, groups, apps and legacy graph
+ * nodes) into quoted context for the agent by scrying what they point to.
+ */
+
+import { storyToMarkdown, describeCite } from "./story.js";
+
+// Most cites resolved per message, and most characters quoted per cite
+const MAX_CITES = 5;
+const MAX_QUOTE_LENGTH = 2000;
+
+const WHERE_PATTERN = /^\/(?:msg|note|curio)\/([\d.]+)(?:\/([\d.]+))?/;
+
+/**
+ * Collects the cite blocks in a story
+ */
+export function collectStoryCites(story) {
+  if (!Array.isArray(story)) return [];
+  return story
+    .map((verse) => verse?.block?.cite)
+    .filter(Boolean)
+    .slice(0, MAX_CITES);
+}
+
+/**
+ * Formats quoted content as a markdown quote under a label line
+ */
+function formatQuote(label, content) {
+  const text = content.length > MAX_QUOTE_LENGTH
+    ? `${content.slice(0, MAX_QUOTE_LENGTH)}…`
+    : content;
+  const quoted = text
+    .split("\n")
+    .map((line) => (line ? `> ${line}` : ">"))
+    .join("\n");
+  return `[${label}]\n${quoted}`;
+}
+
+/**
+ * Resolves a post (or thread reply) reference in a channel
+ * `where` is `/msg/<id>`, `/note/<id>` or `/curio/<id>`, optionally
+ * followed by `/<reply id>`.
+ */
+async function resolveChanCite(api, { nest, where }) {
+  const match = WHERE_PATTERN.exec(where || "");
+  if (!match) return null;
+  const [, postId, replyId] = match;
+
+  const post = await api.scry(`/channels/v4/${nest}/posts/post/${postId}.json`);
+  const essay = post?.essay || post?.["r-post"]?.set?.essay;
+  if (!essay) return null;
+
+  if (replyId) {
+    const reply = post.seal?.replies?.[replyId];
+    const memo = reply?.memo || reply?.["r-reply"]?.set?.memo;
+    if (!memo) return null;
+    return formatQuote(
+      `Quoted reply by ${memo.author} in ${nest}`,
+      storyToMarkdown(memo.content || [])
+    );
+  }
+
+  const title = essay.meta?.title || essay["kind-data"]?.diary?.title;
+  const body = storyToMarkdown(essay.content || []);
+  return formatQuote(
+    `Quoted post by ${essay.author} in ${nest}`,
+    title ? `# ${title}\n\n${body}` : body
+  );
+}
+
+/**
+ * Resolves a group reference to its title and description
+ */
+async function resolveGroupCite(api, flag) {
+  const group = await api.scry(`/groups/groups/${flag}.json`);
+  const meta = group?.meta;
+  if (!meta?.title) return null;
+  return formatQuote(
+    `Referenced group ${meta.title} (${flag})`,
+    meta.description || "(no description)"
+  );
+}
+
+/**
+ * Resolves a single cite to a quoted context block
+ * Falls back to the cite's plain description when the referenced content
+ * can't be fetched (deleted, private, or from an unsupported source).
+ */
+export async function resolveCite(api, cite, runtime) {
+  try {
+    let resolved = null;
+    if (cite.chan) {
+      resolved = await resolveChanCite(api, cite.chan);
+    } else if (cite.group) {
+      resolved = await resolveGroupCite(api, cite.group);
+    } else if (cite.bait) {
+      // Legacy graph references can only be resolved through the group
+      resolved = await resolveGroupCite(api, cite.bait.group);
+    }
+    // Desk (app) references have nothing to fetch
+    if (resolved) return resolved;
+  } catch (error) {
+    runtime?.log?.(`[tlon] Could not resolve cite ${JSON.stringify(cite).slice(0, 100)}: ${error.message}`);
+  }
+  return describeCite(cite);
+}
+
+/**
+ * Resolves all cites in a story into one context section
+ * Returns an empty string when the story has no cites.
+ */
+export async function resolveStoryCites(api, story, runtime) {
+  const cites = collectStoryCites(story);
+  if (cites.length === 0) return "";
+
+  const blocks = [];
+  for (const cite of cites) {
+    blocks.push(await resolveCite(api, cite, runtime));
+  }
+  return blocks.join("\n\n");
+}
@@ -4,6 +4,7 @@ import { fileURLToPath, pathToFileURL } from "node:url";
 
 let coreRootCache = null;
 let coreDepsPromise = null;
+let coreDeps = null;
 
 function findPackageRoot(startDir, name) {
   let dir = startDir;
@@ -78,23 +79,37 @@ export async function loadCoreChannelDeps() {
       dispatcher,
       routing,
       inboundContext,
+      sessions,
     ] = await Promise.all([
       importCoreModule("auto-reply/chunk.js"),
       importCoreModule("auto-reply/envelope.js"),
       importCoreModule("auto-reply/reply/provider-dispatcher.js"),
       importCoreModule("routing/resolve-route.js"),
       importCoreModule("auto-reply/reply/inbound-context.js"),
+      importCoreModule("config/sessions.js"),
     ]);
 
-    return {
+    coreDeps = {
       chunkMarkdownText: chunk.chunkMarkdownText,
       formatAgentEnvelope: envelope.formatAgentEnvelope,
       dispatchReplyWithBufferedBlockDispatcher:
         dispatcher.dispatchReplyWithBufferedBlockDispatcher,
       resolveAgentRoute: routing.resolveAgentRoute,
       finalizeInboundContext: inboundContext.finalizeInboundContext,
+      resolveStorePath: sessions.resolveStorePath,
+      updateSessionStore: sessions.updateSessionStore,
+      resolveSessionFilePath: sessions.resolveSessionFilePath,
     };
+    return coreDeps;
   })();
 
   return coreDepsPromise;
 }
+
+/**
+ * Returns the core deps if they have already been loaded, otherwise null
+ * For synchronous hooks (like the outbound chunker) that cannot await.
+ */
+export function getLoadedCoreChannelDeps() {
+  return coreDeps;
+}
@@ -0,0 +1,147 @@
+/**
+ * Processed-message de-duplication for Tlon
+ * Remembers which messages were handled, so replays (reconnects, catch-up,
+ * restarts) never answer a message twice. An entry can carry a small state
+ * (e.g. a content hash, to tell edits from replays). Entries expire after a
+ * TTL and the oldest are evicted beyond a size bound.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { resolveStateDir } from "./store.js";
+
+export const DEFAULT_DEDUP_MAX_ENTRIES = 5000;
+export const DEFAULT_DEDUP_TTL_MS = 48 * 60 * 60 * 1000;
+
+// Changes are batched into one write per interval
+const DEDUP_SAVE_DELAY_MS = 2000;
+
+/**
+ * Builds the de-duplication key for a message
+ * `conversationKey` is a channel nest, `dm/~ship` or `club/<id>`; thread
+ * replies also carry their parent post id.
+ */
+export function processedMessageKey(conversationKey, messageId, parentId = null) {
+  return parentId
+    ? `${conversationKey}:${parentId}/${messageId}`
+    : `${conversationKey}:${messageId}`;
+}
+
+/**
+ * Resolves the de-duplication file for an account
+ */
+export function resolveDedupFile(accountId) {
+  return path.join(resolveStateDir(accountId), "processed.json");
+}
+
+/**
+ * Creates a de-duplication store
+ * Keys map to the time they were added and their state, oldest first; the
+ * file holds the same `[key, time, state]` triples.
+ */
+export function createDedupStore({
+  file,
+  maxEntries = DEFAULT_DEDUP_MAX_ENTRIES,
+  ttlMs = DEFAULT_DEDUP_TTL_MS,
+  runtime,
+}) {
+  const entries = new Map();
+  let saveTimer = null;
+  let saving = Promise.resolve();
+
+  // Drops expired entries and trims to the size bound, oldest first
+  const evict = () => {
+    const cutoff = Date.now() - ttlMs;
+    for (const [key, { addedAt }] of entries) {
+      if (addedAt >= cutoff && entries.size <= maxEntries) break;
+      entries.delete(key);
+    }
+  };
+
+  const save = () => {
+    saving = saving.then(async () => {
+      evict();
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const saved = [...entries].map(([key, { addedAt, state }]) => [key, addedAt, state]);
+      await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(saved));
+      await fs.promises.rename(`${file}.tmp`, file);
+    }).catch((error) => {
+      runtime?.error?.(`[tlon] Failed to save processed messages: ${error.message}`);
+    });
+    return saving;
+  };
+
+  const scheduleSave = () => {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      save();
+    }, DEDUP_SAVE_DELAY_MS);
+    saveTimer.unref?.();
+  };
+
+  return {
+    /**
+     * Loads processed messages saved by a previous run
+     */
+    async load() {
+      try {
+        const saved = JSON.parse(await fs.promises.readFile(file, "utf8"));
+        for (const [key, addedAt, state = null] of Array.isArray(saved) ? saved : []) {
+          if (typeof key === "string" && Number.isFinite(addedAt)) {
+            entries.set(key, { addedAt, state });
+          }
+        }
+        evict();
+        runtime?.log?.(`[tlon] Loaded ${entries.size} processed message id(s)`);
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          runtime?.error?.(`[tlon] Failed to load processed messages from ${file}: ${error.message}`);
+        }
+      }
+    },
+
+    /**
+     * Checks whether a message was processed within the TTL
+     */
+    has(key) {
+      const entry = entries.get(key);
+      if (!entry) return false;
+      if (entry.addedAt < Date.now() - ttlMs) {
+        entries.delete(key);
+        return false;
+      }
+      return true;
+    },
+
+    /**
+     * Returns the state saved with a processed message, or null
+     */
+    get(key) {
+      const entry = entries.get(key);
+      return entry && entry.addedAt >= Date.now() - ttlMs ? entry.state : null;
+    },
+
+    /**
+     * Marks a message as processed, with optional state to keep with it
+     */
+    add(key, state = null) {
+      entries.delete(key);
+      entries.set(key, { addedAt: Date.now(), state });
+      evict();
+      scheduleSave();
+    },
+
+    /**
+     * Writes pending changes, e.g. before shutdown
+     */
+    async flush() {
+      if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        save();
+      }
+      await saving;
+    },
+  };
+}
@@ -1,5 +1,24 @@
 import { Urbit } from "@urbit/http-api";
-import { unixToDa, formatUd } from "@urbit/aura";
+import {
+  loadCoreChannelDeps,
+  getLoadedCoreChannelDeps,
+} from "./core-bridge.js";
+import { UrbitSSEClient, authenticate } from "./urbit-sse-client.js";
+import {
+  DEFAULT_TEXT_CHUNK_LIMIT,
+  chunkReplyText,
+  deliverChunkedText,
+  deliverMedia,
+  parseTarget,
+  resolveTextChunkLimit,
+  setReaction,
+} from "./send.js";
+import {
+  fetchStorageConfig,
+  prepareOutboundMedia,
+  resolveMediaOptions,
+  resolveUploadStorage,
+} from "./media.js";
 
 // Polyfill minimal browser globals needed by @urbit/http-api in Node
 if (typeof global.window === "undefined") {
@@ -38,6 +57,55 @@ Urbit.prototype.connect = async function patchedConnect() {
   await this.getOurName();
 };
 
+/**
+ * Runs a one-off operation with an authenticated Urbit client
+ * The client opens a channel so pokes are confirmed by the ship's ack, and
+ * closes it again afterwards.
+ */
+async function withTlonClient(account, fn) {
+  const cookie = await authenticate(account.url, account.code);
+  const api = new UrbitSSEClient(account.url, cookie, {
+    autoReconnect: false,
+    code: account.code,
+  });
+  try {
+    await api.connect();
+    return await fn(api);
+  } finally {
+    // Clean up connection
+    try {
+      await api.close();
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  }
+}
+
+/**
+ * Loads core's markdown chunker, or null if core is unavailable
+ */
+async function loadChunker() {
+  try {
+    const { chunkMarkdownText } = await loadCoreChannelDeps();
+    return chunkMarkdownText;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolves an outbound `to` into a send target
+ * A thread id makes a channel target a reply in that thread; DMs and
+ * clubs have no threads, so it is ignored there.
+ */
+function resolveOutboundTarget(to, threadId) {
+  const target = parseTarget(to);
+  if (threadId && !target.ship && !target.club) {
+    target.replyTo = String(threadId);
+  }
+  return target;
+}
+
 /**
  * Tlon/Urbit channel plugin for Clawdbot
  */
@@ -55,7 +123,9 @@ export const tlonPlugin = {
   },
   capabilities: {
     chatTypes: ["direct", "group"],
-    media: false,
+    // Every account can post remote media URLs; whether files are uploaded
+    // is decided per account in sendMedia
+    media: true,
   },
   reload: { configPrefixes: ["channels.tlon"] },
   config: {
@@ -95,6 +165,22 @@ export const tlonPlugin = {
         code: account?.code || null,
         groupChannels: account?.groupChannels || [],
         dmAllowlist: account?.dmAllowlist || [],
+        dmInvitePolicy: account?.dmInvitePolicy ?? base.dmInvitePolicy ?? null,
+        groupInvites: account?.groupInvites ?? base.groupInvites ?? null,
+        reactions: account?.reactions ?? base.reactions ?? null,
+        onEdit: account?.onEdit ?? base.onEdit ?? null,
+        onDelete: account?.onDelete ?? base.onDelete ?? null,
+        streaming: account?.streaming ?? base.streaming ?? null,
+        mentionAliases: account?.mentionAliases ?? base.mentionAliases ?? [],
+        mentionNickname: account?.mentionNickname ?? base.mentionNickname ?? true,
+        messageStore: account?.messageStore ?? base.messageStore ?? null,
+        catchUp: account?.catchUp ?? base.catchUp ?? null,
+        reconnect: account?.reconnect ?? base.reconnect ?? null,
+        textChunkLimit: account?.textChunkLimit ?? base.textChunkLimit ?? null,
+        mediaMaxMb: account?.mediaMaxMb ?? base.mediaMaxMb ?? null,
+        mediaAllowedTypes: account?.mediaAllowedTypes ?? base.mediaAllowedTypes ?? null,
+        mediaLocalRoots: account?.mediaLocalRoots ?? base.mediaLocalRoots ?? null,
+        storage: account?.storage ?? base.storage ?? null,
       };
     },
     defaultAccountId: () => "default",
@@ -170,89 +256,156 @@ export const tlonPlugin = {
   },
   messaging: {
     normalizeTarget: (target) => {
-      // Normalize Urbit ship names
-      const trimmed = target.trim();
-      if (!trimmed.startsWith("~")) {
-        return `~${trimmed}`;
-      }
-      return trimmed;
+      // Ships get a ~ prefix; channel nests and club ids are kept as-is
+      const parsed = parseTarget(target);
+      if (parsed.ship) return parsed.ship;
+      if (parsed.club) return parsed.club;
+      return `${parsed.kind}/${parsed.hostShip}/${parsed.channelName}`;
     },
     targetResolver: {
       looksLikeId: (target) => {
-        return /^~?[a-z-]+$/.test(target);
+        const trimmed = target.trim().replace(/^tlon:(group:)?/, "");
+        return /^~?[a-z-]+$/.test(trimmed) ||
+          /^(chat|diary|heap)\/~?[a-z-]+\/\S+$/.test(trimmed) ||
+          /^0v[0-9a-v.]+$/.test(trimmed);
       },
-      hint: "~sampel-palnet or sampel-palnet",
+      hint: "~sampel-palnet, chat/~host-ship/channel-name or a club id (0v...)",
     },
   },
   outbound: {
     deliveryMode: "direct",
-    chunker: (text) => [text], // No chunking for now
-    textChunkLimit: 10000,
-    sendText: async ({ cfg, to, text, accountId }) => {
+    chunker: (text, limit) => {
+      // Start loading core so later calls get its markdown-aware chunker
+      void loadChunker();
+      return chunkReplyText(
+        text,
+        limit || DEFAULT_TEXT_CHUNK_LIMIT,
+        getLoadedCoreChannelDeps()?.chunkMarkdownText
+      );
+    },
+    // Default only; sendText re-chunks with the account's own textChunkLimit
+    textChunkLimit: DEFAULT_TEXT_CHUNK_LIMIT,
+    sendText: async ({ cfg, to, text, accountId, threadId, replyToId }) => {
       const account = tlonPlugin.config.resolveAccount(cfg, accountId);
 
       if (!account.configured) {
         throw new Error("Tlon account not configured");
       }
 
-      // Authenticate with Urbit
-      const api = await Urbit.authenticate({
-        ship: account.ship.replace(/^~/, ""),
-        url: account.url,
-        code: account.code,
-        verbose: false,
-      });
+      // Core's markdown chunker; text is split on whitespace if core is unavailable
+      const chunkMarkdownText = await loadChunker();
 
-      try {
-        // Normalize ship name for sending
-        const toShip = to.startsWith("~") ? to : `~${to}`;
+      return await withTlonClient(account, async (api) => {
+        const target = resolveOutboundTarget(to, threadId ?? replyToId);
         const fromShip = account.ship.startsWith("~")
           ? account.ship
           : `~${account.ship}`;
 
-        // Construct message in Tlon format
-        const story = [{ inline: [text] }];
-        const sentAt = Date.now();
-        const idUd = formatUd(unixToDa(sentAt).toString());
-        const id = `${fromShip}/${idUd}`;
-
-        const delta = {
-          add: {
-            memo: {
-              content: story,
-              author: fromShip,
-              sent: sentAt,
-            },
-            kind: null,
-            time: null,
-          },
-        };
+        // Send each chunk in order via poke
+        const results = await deliverChunkedText({
+          api,
+          fromShip,
+          target,
+          text,
+          limit: resolveTextChunkLimit(account),
+          chunkMarkdownText,
+        });
 
-        const action = {
-          ship: toShip,
-          diff: { id, delta },
+        return {
+          channel: "tlon",
+          success: true,
+          messageId: results[results.length - 1]?.messageId ?? null,
         };
+      });
+    },
+    sendMedia: async ({ cfg, to, text, mediaUrl, accountId, threadId, replyToId }) => {
+      const account = tlonPlugin.config.resolveAccount(cfg, accountId);
+
+      if (!account.configured) {
+        throw new Error("Tlon account not configured");
+      }
+
+      const chunkMarkdownText = await loadChunker();
 
-        // Send via poke
-        await api.poke({
-          app: "chat",
-          mark: "chat-dm-action",
-          json: action,
+      return await withTlonClient(account, async (api) => {
+        const target = resolveOutboundTarget(to, threadId ?? replyToId);
+        const fromShip = account.ship.startsWith("~")
+          ? account.ship
+          : `~${account.ship}`;
+
+        // Plugin config wins over the ship's own storage settings
+        const storage = resolveUploadStorage(
+          account,
+          await fetchStorageConfig(api)
+        );
+        const mediaOptions = resolveMediaOptions(account);
+        const media = await prepareOutboundMedia({
+          mediaUrl,
+          storage,
+          ship: fromShip,
+          maxBytes: mediaOptions.maxBytes,
+          localRoots: mediaOptions.localRoots,
+        });
+
+        const results = await deliverMedia({
+          api,
+          fromShip,
+          target,
+          media,
+          caption: text,
+          limit: resolveTextChunkLimit(account),
+          chunkMarkdownText,
         });
 
         return {
           channel: "tlon",
           success: true,
-          messageId: id,
+          messageId: results[results.length - 1]?.messageId ?? null,
         };
-      } finally {
-        // Clean up connection
-        try {
-          await api.delete();
-        } catch (e) {
-          // Ignore cleanup errors
-        }
+      });
+    },
+  },
+  actions: {
+    listActions: () => ["react"],
+    handleAction: async ({ action, params, cfg, accountId }) => {
+      if (action !== "react") {
+        throw new Error(`Action ${action} is not supported for Tlon`);
+      }
+
+      const account = tlonPlugin.config.resolveAccount(cfg, accountId);
+      if (!account.configured) {
+        throw new Error("Tlon account not configured");
+      }
+
+      const to = params?.to ?? params?.channelId;
+      const messageId = params?.messageId;
+      if (!to || !messageId) {
+        throw new Error("Tlon react requires to and messageId");
       }
+      const remove = params.remove === true;
+      const emoji = params.emoji;
+      if (!remove && !emoji) {
+        throw new Error("Tlon react requires emoji (or remove: true)");
+      }
+
+      return await withTlonClient(account, async (api) => {
+        const fromShip = account.ship.startsWith("~")
+          ? account.ship
+          : `~${account.ship}`;
+
+        // threadId is the parent post when reacting to a channel thread reply
+        await setReaction(api, fromShip, {
+          target: parseTarget(to),
+          messageId,
+          parentId: params.threadId ?? null,
+        }, remove ? null : emoji);
+
+        const result = { ok: true, messageId, ...(remove ? { removed: true } : { added: emoji }) };
+        return {
+          content: [{ type: "text", text: JSON.stringify(result) }],
+          details: result,
+        };
+      });
     },
   },
   status: {
@@ -262,6 +415,9 @@ export const tlonPlugin = {
       lastStartAt: null,
       lastStopAt: null,
       lastError: null,
+      lostSubscriptions: [],
+      authError: null,
+      reconnect: null,
     },
     collectStatusIssues: (accounts) => {
       return accounts.flatMap((account) => {
@@ -273,7 +429,41 @@ export const tlonPlugin = {
             message: "Account not configured (missing ship, code, or url)",
           }];
         }
-        return [];
+        if (account.authError) {
+          return [{
+            channel: "tlon",
+            accountId: account.accountId,
+            kind: "auth",
+            message: `Ship rejected the login: ${account.authError}`,
+          }];
+        }
+        const issues = [];
+        // A dropped connection that is still being retried
+        const reconnect = account.reconnect;
+        if (reconnect && !reconnect.connected) {
+          const details = [`reconnect attempt ${reconnect.attempts}`];
+          if (reconnect.lastError) {
+            details.push(`last error: ${reconnect.lastError}`);
+          }
+          if (reconnect.nextRetryAt) {
+            details.push(`next retry at ${new Date(reconnect.nextRetryAt).toISOString()}`);
+          }
+          issues.push({
+            channel: "tlon",
+            accountId: account.accountId,
+            kind: "runtime",
+            message: `Disconnected from ship (${details.join(", ")})`,
+          });
+        }
+        // Conversations whose subscription ended and couldn't be restored
+        return issues.concat((account.lostSubscriptions || []).map((lost) => ({
+          channel: "tlon",
+          accountId: account.accountId,
+          kind: "runtime",
+          message: lost.reason === "gone"
+            ? `No longer receiving ${lost.label}: it was deleted or the bot was removed`
+            : `No longer receiving ${lost.label}: resubscribing kept failing (restart to retry)`,
+        })));
       });
     },
     buildChannelSummary: ({ snapshot }) => ({
@@ -311,6 +501,9 @@ export const tlonPlugin = {
       configured: account.configured,
       ship: account.ship,
       url: account.url,
+      lostSubscriptions: runtime?.lostSubscriptions ?? [],
+      authError: runtime?.authError ?? null,
+      reconnect: runtime?.reconnect ?? null,
       probe,
     }),
   },
@@ -335,6 +528,7 @@ export const tlonPlugin = {
         cfg: ctx.cfg,
         runtime: ctx.runtime,
         abortSignal: ctx.abortSignal,
+        setStatus: (patch) => ctx.setStatus({ accountId: account.accountId, ...patch }),
       });
     },
   },
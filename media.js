@@ -0,0 +1,677 @@
+/**
+ * Media handling for Tlon
+ * Finds images and storage-hosted files in stories and downloads them so
+ * they can be handed to the agent as attachments, and uploads outbound
+ * media to the ship's S3-compatible storage bucket.
+ */
+
+import crypto from "node:crypto";
+import dns from "node:dns/promises";
+import fs from "node:fs/promises";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+/**
+ * Default maximum size of a downloaded attachment
+ */
+export const DEFAULT_MEDIA_MAX_MB = 20;
+
+/**
+ * Content types accepted by default (entries ending in "/" match a prefix)
+ */
+export const DEFAULT_MEDIA_ALLOWED_TYPES = [
+  "image/",
+  "application/pdf",
+  "text/plain",
+  "text/markdown",
+  "text/csv",
+];
+
+const EXTENSION_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".svg": "image/svg+xml",
+  ".heic": "image/heic",
+  ".pdf": "application/pdf",
+  ".txt": "text/plain",
+  ".md": "text/markdown",
+  ".csv": "text/csv",
+};
+
+const TYPE_EXTENSIONS = Object.fromEntries(
+  Object.entries(EXTENSION_TYPES).map(([ext, type]) => [type, ext])
+);
+
+/**
+ * Time allowed for a media download, including reading the body
+ */
+export const DEFAULT_MEDIA_TIMEOUT_MS = 30 * 1000;
+
+// Redirects followed by a download, each hop checked like the first URL
+const MAX_MEDIA_REDIRECTS = 5;
+
+// Addresses a download may not reach (loopback, private, link-local, etc.)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["::ffff:0:0", 96],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+const MEDIA_DIR = path.join(os.tmpdir(), "clawdbot-tlon-media");
+
+// Downloads left behind (e.g. by a crash) are pruned after this age
+const MEDIA_FILE_MAX_AGE_MS = 60 * 60 * 1000;
+
+/**
+ * Directory local outbound files may be read from by default (core's media dir)
+ */
+export const DEFAULT_MEDIA_LOCAL_ROOT = path.join(
+  process.env.CLAWDBOT_STATE_DIR?.trim() || path.join(os.homedir(), ".clawdbot"),
+  "media"
+);
+
+/**
+ * Guesses a content type from a URL or file name extension
+ */
+export function guessContentType(name) {
+  try {
+    const pathname = /^https?:/.test(name) ? new URL(name).pathname : name;
+    return EXTENSION_TYPES[path.extname(pathname).toLowerCase()] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetches the ship's storage (S3) configuration
+ * Returns null if storage is not configured or the scry fails.
+ */
+export async function fetchStorageConfig(api, runtime) {
+  try {
+    const [configResp, credentialsResp] = await Promise.all([
+      api.scry("/storage/configuration.json"),
+      api.scry("/storage/credentials.json").catch(() => null),
+    ]);
+
+    const configuration = configResp?.["storage-update"]?.configuration;
+    const credentials = credentialsResp?.["storage-update"]?.credentials;
+    if (!configuration) return null;
+
+    return {
+      service: configuration.service || "credentials",
+      bucket: configuration.currentBucket || null,
+      region: configuration.region || null,
+      publicUrlBase: configuration.publicUrlBase || null,
+      presignedUrl: configuration.presignedUrl || null,
+      endpoint: credentials?.endpoint || null,
+      accessKeyId: credentials?.accessKeyId || null,
+      secretAccessKey: credentials?.secretAccessKey || null,
+    };
+  } catch (error) {
+    runtime?.log?.(`[tlon] Storage configuration unavailable: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Checks whether a URL points into the ship's storage bucket
+ */
+export function isStorageUrl(url, storage) {
+  if (!url || !storage) return false;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+
+  if (storage.publicUrlBase) {
+    try {
+      const base = new URL(storage.publicUrlBase);
+      const basePath = base.pathname.replace(/\/+$/, "");
+      if (
+        parsed.origin === base.origin &&
+        (parsed.pathname === basePath || parsed.pathname.startsWith(`${basePath}/`))
+      ) {
+        return true;
+      }
+    } catch {
+      // ignore malformed bases
+    }
+  }
+
+  if (storage.endpoint) {
+    try {
+      const endpointHost = new URL(
+        /^https?:\/\//.test(storage.endpoint) ? storage.endpoint : `https://${storage.endpoint}`
+      ).host;
+      if (parsed.host === endpointHost) return true;
+      if (storage.bucket && parsed.host === `${storage.bucket}.${endpointHost}`) return true;
+    } catch {
+      // ignore malformed endpoints
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Walks inlines looking for links into the ship's storage
+ */
+function collectStorageLinks(inlines, storage, found) {
+  if (!Array.isArray(inlines)) return;
+  for (const item of inlines) {
+    if (!item || typeof item !== "object") continue;
+    if (item.link?.href && isStorageUrl(item.link.href, storage)) {
+      found.push({
+        url: item.link.href,
+        alt: item.link.content && item.link.content !== item.link.href
+          ? item.link.content
+          : null,
+        kind: "file",
+      });
+      continue;
+    }
+    const nested = item.bold || item.italics || item.strike || item.blockquote;
+    collectStorageLinks(nested, storage, found);
+  }
+}
+
+/**
+ * Collects media references from a story
+ * Image blocks are always collected; links are collected when they point
+ * into the ship's storage bucket.
+ * Returns: Array<{ url, alt, kind: "image" | "file" }>
+ */
+export function collectStoryMedia(story, storage = null) {
+  if (!Array.isArray(story)) return [];
+
+  const found = [];
+  for (const verse of story) {
+    if (verse?.block?.image?.src) {
+      found.push({
+        url: verse.block.image.src,
+        alt: verse.block.image.alt || null,
+        kind: "image",
+      });
+    } else if (verse?.inline) {
+      collectStorageLinks(verse.inline, storage, found);
+    }
+  }
+
+  // Drop duplicate URLs, keeping the first occurrence
+  const seen = new Set();
+  return found.filter((item) => {
+    if (seen.has(item.url)) return false;
+    seen.add(item.url);
+    return true;
+  });
+}
+
+/**
+ * Checks a content type against an allowlist
+ */
+function isAllowedType(contentType, allowedTypes) {
+  return allowedTypes.some((allowed) =>
+    allowed.endsWith("/") ? contentType.startsWith(allowed) : contentType === allowed
+  );
+}
+
+/**
+ * Reads a response body, failing as soon as it exceeds `maxBytes`
+ * A declared `content-length` over the limit fails before reading.
+ */
+async function readLimitedBody(response, maxBytes, url) {
+  const declaredSize = Number(response.headers.get("content-length"));
+  if (Number.isFinite(declaredSize) && declaredSize > maxBytes) {
+    await response.body?.cancel().catch(() => {});
+    throw new Error(`Media too large: ${declaredSize} bytes (limit ${maxBytes}) for ${url}`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new Error(`Media too large: over ${maxBytes} bytes for ${url}`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Refuses URLs a download must not reach
+ * URLs in the ship's own storage are trusted (it may be a bucket on the
+ * local network); anything else must be https and resolve only to public
+ * addresses.
+ */
+async function assertPublicMediaUrl(url, storage) {
+  if (isStorageUrl(url, storage)) return;
+
+  const parsed = new URL(url);
+  if (parsed.protocol !== "https:") {
+    throw new Error(`Media URL not allowed (https only): ${url}`);
+  }
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+  const addresses = await dns.lookup(hostname, { all: true });
+  for (const { address, family } of addresses) {
+    if (BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4")) {
+      throw new Error(`Media host not allowed (private address ${address}): ${url}`);
+    }
+  }
+}
+
+/**
+ * Fetches a media URL, checking the URL and every redirect target
+ */
+async function fetchPublicMedia(url, { storage, signal }) {
+  let current = url;
+  for (let hop = 0; hop <= MAX_MEDIA_REDIRECTS; hop += 1) {
+    await assertPublicMediaUrl(current, storage);
+    const response = await fetch(current, { signal, redirect: "manual" });
+    const location = response.headers.get("location");
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+    await response.body?.cancel().catch(() => {});
+    current = new URL(location, current).href;
+  }
+  throw new Error(`Media download failed: too many redirects for ${url}`);
+}
+
+/**
+ * Downloads a media reference to a temp file
+ * Fetches only https URLs on public addresses, or the ship's own storage
+ * (`options.storage`). Enforces the time and size limits while streaming
+ * and rejects unexpected content types (including images that turn out
+ * not to be images).
+ * Returns: { path, contentType, url, alt, size }
+ */
+export async function downloadMedia(ref, options = {}) {
+  const maxBytes = options.maxBytes ?? DEFAULT_MEDIA_MAX_MB * 1024 * 1024;
+  const allowedTypes = ref.kind === "image"
+    ? ["image/"]
+    : options.allowedTypes ?? DEFAULT_MEDIA_ALLOWED_TYPES;
+
+  const response = await fetchPublicMedia(ref.url, {
+    storage: options.storage,
+    signal: AbortSignal.timeout(options.timeoutMs ?? DEFAULT_MEDIA_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Media download failed: ${response.status} for ${ref.url}`);
+  }
+
+  let contentType = (response.headers.get("content-type") || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  if (!contentType || contentType === "application/octet-stream") {
+    contentType = guessContentType(ref.url) || contentType;
+  }
+  if (!contentType || !isAllowedType(contentType, allowedTypes)) {
+    throw new Error(`Media type not allowed: ${contentType || "unknown"} for ${ref.url}`);
+  }
+
+  const buffer = await readLimitedBody(response, maxBytes, ref.url);
+
+  await fs.mkdir(MEDIA_DIR, { recursive: true });
+  const ext = TYPE_EXTENSIONS[contentType] || path.extname(new URL(ref.url).pathname) || "";
+  const filePath = path.join(
+    MEDIA_DIR,
+    `${Date.now()}-${Math.random().toString(36).substring(2, 8)}${ext}`
+  );
+  await fs.writeFile(filePath, buffer);
+
+  return { path: filePath, contentType, url: ref.url, alt: ref.alt, size: buffer.length };
+}
+
+/**
+ * Downloads all media references, skipping (and logging) failures
+ */
+export async function downloadInboundMedia(refs, options = {}, runtime) {
+  const media = [];
+  for (const ref of refs) {
+    try {
+      media.push(await downloadMedia(ref, options));
+    } catch (error) {
+      runtime?.log?.(`[tlon] Skipping attachment: ${error.message}`);
+    }
+  }
+  return media;
+}
+
+/**
+ * Deletes downloaded media files once the agent is done with them
+ */
+export async function removeInboundMedia(media) {
+  await Promise.all(
+    media.map((item) => fs.rm(item.path, { force: true }).catch(() => {}))
+  );
+}
+
+/**
+ * Deletes downloads older than an hour, e.g. left behind by a crash
+ */
+export async function pruneInboundMedia(runtime) {
+  let names;
+  try {
+    names = await fs.readdir(MEDIA_DIR);
+  } catch {
+    return;
+  }
+
+  const cutoff = Date.now() - MEDIA_FILE_MAX_AGE_MS;
+  let removed = 0;
+  for (const name of names) {
+    const filePath = path.join(MEDIA_DIR, name);
+    try {
+      if ((await fs.stat(filePath)).mtimeMs < cutoff) {
+        await fs.rm(filePath, { force: true });
+        removed += 1;
+      }
+    } catch {
+      // ignore files removed concurrently
+    }
+  }
+  if (removed > 0) {
+    runtime?.log?.(`[tlon] Pruned ${removed} stale media download(s)`);
+  }
+}
+
+/**
+ * Resolves media download options from account config
+ */
+export function resolveMediaOptions(account) {
+  const maxMb = Number(account?.mediaMaxMb);
+  return {
+    maxBytes: (Number.isFinite(maxMb) && maxMb > 0 ? maxMb : DEFAULT_MEDIA_MAX_MB) * 1024 * 1024,
+    allowedTypes: Array.isArray(account?.mediaAllowedTypes) && account.mediaAllowedTypes.length > 0
+      ? account.mediaAllowedTypes
+      : DEFAULT_MEDIA_ALLOWED_TYPES,
+    localRoots: Array.isArray(account?.mediaLocalRoots) && account.mediaLocalRoots.length > 0
+      ? account.mediaLocalRoots
+      : [DEFAULT_MEDIA_LOCAL_ROOT],
+  };
+}
+
+/**
+ * Resolves the storage used for outbound uploads
+ * Plugin config (`storage`) overrides whatever the ship's storage scry
+ * reported. Returns null unless an S3-compatible bucket with credentials
+ * is available (Tlon-hosted presigned-url storage is not supported).
+ */
+export function resolveUploadStorage(account, shipStorage = null) {
+  const configured = account?.storage || {};
+  const storage = {
+    endpoint: configured.endpoint || shipStorage?.endpoint || null,
+    bucket: configured.bucket || shipStorage?.bucket || null,
+    region: configured.region || shipStorage?.region || "us-east-1",
+    accessKeyId: configured.accessKeyId || shipStorage?.accessKeyId || null,
+    secretAccessKey: configured.secretAccessKey || shipStorage?.secretAccessKey || null,
+    publicUrlBase: configured.publicUrlBase || shipStorage?.publicUrlBase || null,
+    forcePathStyle: configured.forcePathStyle === true,
+  };
+
+  if (!storage.endpoint || !storage.bucket || !storage.accessKeyId || !storage.secretAccessKey) {
+    return null;
+  }
+  if (!/^https?:\/\//.test(storage.endpoint)) {
+    storage.endpoint = `https://${storage.endpoint}`;
+  }
+  storage.endpoint = storage.endpoint.replace(/\/+$/, "");
+  return storage;
+}
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+/**
+ * URI-encodes an S3 object path (RFC 3986, slashes preserved)
+ */
+function encodeS3Path(pathname) {
+  return pathname
+    .split("/")
+    .map((segment) =>
+      encodeURIComponent(segment).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+    )
+    .join("/");
+}
+
+/**
+ * Uploads bytes to S3-compatible storage using a SigV4-signed PUT
+ * Returns the public URL of the uploaded object.
+ */
+export async function uploadToStorage(storage, { buffer, contentType, fileName, ship }) {
+  const safeName = (fileName || "upload").replace(/[^A-Za-z0-9._-]+/g, "-");
+  const prefix = ship ? `${ship.replace(/^~/, "")}/` : "";
+  const key = `${prefix}${Date.now()}-${Math.random().toString(36).substring(2, 8)}-${safeName}`;
+
+  const endpoint = new URL(storage.endpoint);
+  const host = storage.forcePathStyle ? endpoint.host : `${storage.bucket}.${endpoint.host}`;
+  const basePath = endpoint.pathname.replace(/\/+$/, "");
+  const objectPath = storage.forcePathStyle
+    ? `${basePath}/${storage.bucket}/${key}`
+    : `${basePath}/${key}`;
+  const canonicalUri = encodeS3Path(objectPath);
+
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(buffer);
+  const headers = {
+    "content-type": contentType,
+    host,
+    "x-amz-acl": "public-read",
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  const signedHeaders = Object.keys(headers).sort().join(";");
+  const canonicalHeaders = Object.keys(headers)
+    .sort()
+    .map((name) => `${name}:${String(headers[name]).trim()}\n`)
+    .join("");
+
+  const canonicalRequest = [
+    "PUT",
+    canonicalUri,
+    "",
+    canonicalHeaders,
+    signedHeaders,
+    payloadHash,
+  ].join("\n");
+  const scope = `${dateStamp}/${storage.region}/s3/aws4_request`;
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    sha256Hex(canonicalRequest),
+  ].join("\n");
+
+  const signingKey = ["s3", "aws4_request"].reduce(
+    (keyBytes, part) => hmac(keyBytes, part),
+    hmac(hmac(`AWS4${storage.secretAccessKey}`, dateStamp), storage.region)
+  );
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  const { host: _host, ...requestHeaders } = headers;
+  const response = await fetch(`${endpoint.protocol}//${host}${canonicalUri}`, {
+    method: "PUT",
+    headers: {
+      ...requestHeaders,
+      Authorization:
+        `AWS4-HMAC-SHA256 Credential=${storage.accessKeyId}/${scope}, ` +
+        `SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    },
+    body: buffer,
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => "");
+    throw new Error(`Storage upload failed: ${response.status} - ${errorText.substring(0, 300)}`);
+  }
+
+  if (storage.publicUrlBase) {
+    return `${storage.publicUrlBase.replace(/\/+$/, "")}/${encodeS3Path(key)}`;
+  }
+  return `${endpoint.protocol}//${host}${canonicalUri}`;
+}
+
+/**
+ * Resolves a local media path, refusing anything outside `localRoots`
+ * Symlinks are resolved first, so they can't point out of a root.
+ */
+async function resolveLocalMediaPath(filePath, localRoots) {
+  const realPath = await fs.realpath(filePath);
+  for (const root of localRoots) {
+    const realRoot = await fs.realpath(root).catch(() => null);
+    if (realRoot && realPath.startsWith(`${realRoot}${path.sep}`)) {
+      return realPath;
+    }
+  }
+  throw new Error(`Local media outside the allowed media directories: ${filePath}`);
+}
+
+/**
+ * Loads outbound media from a URL or a local path inside `localRoots`
+ * Returns: { buffer, contentType, fileName }
+ */
+export async function loadOutboundMedia(mediaUrl, {
+  maxBytes = DEFAULT_MEDIA_MAX_MB * 1024 * 1024,
+  localRoots = [DEFAULT_MEDIA_LOCAL_ROOT],
+} = {}) {
+  if (/^https?:\/\//.test(mediaUrl)) {
+    const response = await fetch(mediaUrl, {
+      signal: AbortSignal.timeout(DEFAULT_MEDIA_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`Media fetch failed: ${response.status} for ${mediaUrl}`);
+    }
+    const buffer = await readLimitedBody(response, maxBytes, mediaUrl);
+    const headerType = (response.headers.get("content-type") || "").split(";")[0].trim();
+    return {
+      buffer,
+      contentType: headerType && headerType !== "application/octet-stream"
+        ? headerType
+        : guessContentType(mediaUrl) || "application/octet-stream",
+      fileName: path.basename(new URL(mediaUrl).pathname) || "upload",
+    };
+  }
+
+  const filePath = await resolveLocalMediaPath(
+    mediaUrl.startsWith("file://") ? fileURLToPath(mediaUrl) : mediaUrl,
+    localRoots
+  );
+  const stat = await fs.stat(filePath);
+  if (stat.size > maxBytes) {
+    throw new Error(`Media too large: ${stat.size} bytes (limit ${maxBytes})`);
+  }
+  return {
+    buffer: await fs.readFile(filePath),
+    contentType: guessContentType(filePath) || "application/octet-stream",
+    fileName: path.basename(filePath),
+  };
+}
+
+/**
+ * Reads width and height from PNG, GIF and JPEG headers
+ * Returns { width: 0, height: 0 } for other formats.
+ */
+export function imageDimensions(buffer) {
+  try {
+    // PNG: IHDR chunk
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    // GIF: logical screen descriptor
+    if (buffer.length >= 10 && buffer.toString("ascii", 0, 3) === "GIF") {
+      return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    // JPEG: scan for a start-of-frame marker
+    if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+      let offset = 2;
+      while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) break;
+        const marker = buffer[offset + 1];
+        const length = buffer.readUInt16BE(offset + 2);
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + length;
+      }
+    }
+  } catch {
+    // fall through to unknown dimensions
+  }
+  return { width: 0, height: 0 };
+}
+
+/**
+ * Builds the story for an uploaded file
+ * Images become an `image` block; other files become a link.
+ */
+export function buildMediaStory({ url, contentType, fileName, alt, width = 0, height = 0 }) {
+  if (contentType?.startsWith("image/")) {
+    return [{ block: { image: { src: url, width, height, alt: alt || fileName || "" } } }];
+  }
+  return [{ inline: [{ link: { href: url, content: fileName || url } }] }];
+}
+
+/**
+ * Prepares outbound media for posting
+ * With upload storage the bytes are uploaded to the bucket; without it,
+ * remote URLs are posted as-is and local files cannot be sent.
+ * Returns: { url, contentType, fileName, width, height }
+ */
+export async function prepareOutboundMedia({ mediaUrl, storage, ship, maxBytes, localRoots }) {
+  if (!storage) {
+    if (!/^https?:\/\//.test(mediaUrl)) {
+      throw new Error("Tlon storage not configured: cannot upload local media");
+    }
+    return {
+      url: mediaUrl,
+      contentType: guessContentType(mediaUrl),
+      fileName: path.basename(new URL(mediaUrl).pathname) || mediaUrl,
+      width: 0,
+      height: 0,
+    };
+  }
+
+  const { buffer, contentType, fileName } = await loadOutboundMedia(mediaUrl, { maxBytes, localRoots });
+  const url = await uploadToStorage(storage, { buffer, contentType, fileName, ship });
+  const { width, height } = contentType.startsWith("image/")
+    ? imageDimensions(buffer)
+    : { width: 0, height: 0 };
+
+  return { url, contentType, fileName, width, height };
+}
@@ -0,0 +1,108 @@
+/**
+ * Mention detection for Tlon
+ * Finds mentions of the bot in story structure (`{ ship }` inlines) and in
+ * text (ship name or configured aliases), and strips them for the agent.
+ */
+
+/**
+ * Normalizes a ship name to include the ~ prefix
+ */
+function normalizeShip(ship) {
+  return ship.startsWith("~") ? ship : `~${ship}`;
+}
+
+/**
+ * Collects the ships mentioned with `{ ship }` inlines in a story
+ * Quoted text is skipped, since quoting a mention doesn't address anyone.
+ */
+export function collectStoryShips(story) {
+  const ships = new Set();
+
+  const walkInlines = (inlines) => {
+    if (!Array.isArray(inlines)) return;
+    for (const item of inlines) {
+      if (!item || typeof item !== "object") continue;
+      if (typeof item.ship === "string") ships.add(normalizeShip(item.ship));
+      else if (item.bold) walkInlines(item.bold);
+      else if (item.italics) walkInlines(item.italics);
+      else if (item.strike) walkInlines(item.strike);
+      else if (item.task) walkInlines(item.task.content);
+    }
+  };
+
+  const walkListing = (listing) => {
+    if (!listing) return;
+    if (listing.item) walkInlines(listing.item);
+    if (listing.list) {
+      walkInlines(listing.list.contents);
+      for (const child of listing.list.items || []) walkListing(child);
+    }
+  };
+
+  for (const verse of Array.isArray(story) ? story : []) {
+    if (verse?.inline) walkInlines(verse.inline);
+    else if (verse?.block?.header) walkInlines(verse.block.header.content);
+    else if (verse?.block?.listing) walkListing(verse.block.listing);
+  }
+  return ships;
+}
+
+/**
+ * Escapes a string for use in a regular expression
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Builds a pattern matching any of the names as a whole word
+ * Names may be followed by punctuation (`~ship,`) but not by more name
+ * characters (`~ship-other`).
+ */
+function namesPattern(names, flags) {
+  const alternatives = names
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  if (alternatives.length === 0) return null;
+  return new RegExp(`(^|[^\\w~-])(${alternatives.join("|")})(?![\\w-])`, flags);
+}
+
+/**
+ * Resolves the names the bot answers to: its ship plus any aliases
+ */
+export function resolveMentionNames({ botShipName, aliases = [], nickname = null }) {
+  const names = [normalizeShip(botShipName), ...aliases];
+  if (nickname) names.push(nickname);
+  return [...new Set(names.map((name) => String(name).trim()).filter(Boolean))];
+}
+
+/**
+ * Checks whether a message mentions the bot
+ * A `{ ship }` inline for the bot's ship always counts; otherwise the text
+ * is searched for the ship name or an alias (case-insensitive).
+ */
+export function isMentioned({ story, text, botShipName, names }) {
+  if (story && collectStoryShips(story).has(normalizeShip(botShipName))) {
+    return true;
+  }
+  const pattern = namesPattern(names, "i");
+  return Boolean(text && pattern?.test(text));
+}
+
+/**
+ * Removes mentions of the bot from message text
+ * Punctuation directly after a mention (`~ship, hi`) goes with it. Returns
+ * the original text if nothing else is left.
+ */
+export function stripMentions(text, names) {
+  const pattern = namesPattern(names, "gi");
+  if (!text || !pattern) return text;
+
+  const stripped = text
+    .replace(new RegExp(`${pattern.source}[,:;]?`, "gi"), "$1")
+    .replace(/[ \t]{2,}/g, " ")
+    .replace(/^[ \t]+|[ \t]+$/gm, "")
+    .trim();
+  return stripped || text;
+}
@@ -17,9 +17,52 @@ if (!global.window.location) {
   };
 }
 
-import { unixToDa, formatUd } from "@urbit/aura";
-import { UrbitSSEClient } from "./urbit-sse-client.js";
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import { UrbitAuthError, UrbitSSEClient, authenticate } from "./urbit-sse-client.js";
 import { loadCoreChannelDeps } from "./core-bridge.js";
+import { storyToMarkdown } from "./story.js";
+import { isMentioned, resolveMentionNames, stripMentions } from "./mentions.js";
+import { resolveStoryCites } from "./cites.js";
+import { createMessageStore, resolveStoreOptions } from "./store.js";
+import { createDedupStore, processedMessageKey, resolveDedupFile } from "./dedup.js";
+import {
+  createWatermarkStore,
+  fetchMissedChannelUpdates,
+  fetchMissedClubUpdates,
+  fetchMissedDmUpdates,
+  resolveCatchUpOptions,
+} from "./catchup.js";
+import {
+  parseSummaryRequest,
+  filterHistory,
+  formatHistoryLines,
+  chunkHistoryLines,
+  buildSummaryPrompt,
+  buildPartSummaryPrompt,
+  buildCombinedSummaryPrompt,
+  MAX_SUMMARY_COUNT,
+} from "./summarize.js";
+import { createReplyStream, resolveStreamingOptions } from "./stream.js";
+import {
+  sendToTarget,
+  setReaction,
+  deletePost,
+  supportsEdits,
+  deliverChunkedText,
+  deliverMedia,
+  resolveTextChunkLimit,
+} from "./send.js";
+import {
+  fetchStorageConfig,
+  collectStoryMedia,
+  downloadInboundMedia,
+  pruneInboundMedia,
+  removeInboundMedia,
+  resolveMediaOptions,
+  resolveUploadStorage,
+  prepareOutboundMedia,
+} from "./media.js";
 
 console.log("[tlon] ====== monitor.js loaded with thread reply fix + dedup fix (commit fad6ef0) ======");
 
@@ -55,308 +98,427 @@ function formatModelName(modelString) {
 }
 
 /**
- * Authenticate and get cookie
+ * Fetches the bot's contact nickname, or null if it has none
+ * Tries the contacts v1 self scry, then the legacy all-contacts scry.
  */
-async function authenticate(url, code) {
-  const resp = await fetch(`${url}/~/login`, {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body: `password=${code}`,
-  });
-
-  if (!resp.ok) {
-    throw new Error(`Login failed with status ${resp.status}`);
+async function fetchContactNickname(api, botShipName, runtime) {
+  try {
+    const self = await api.scry("/contacts/v1/self.json");
+    const nickname = self?.nickname?.value ?? self?.nickname;
+    if (typeof nickname === "string" && nickname.trim()) return nickname.trim();
+  } catch {
+    // Older ships only have the legacy endpoint
   }
 
-  // Read and discard the token body
-  await resp.text();
+  try {
+    const contacts = await api.scry("/contacts/all.json");
+    const nickname = contacts?.[botShipName]?.nickname;
+    if (typeof nickname === "string" && nickname.trim()) return nickname.trim();
+  } catch (error) {
+    runtime?.log?.(`[tlon] Could not fetch contact nickname: ${error.message}`);
+  }
+  return null;
+}
 
-  // Extract cookie
-  const cookie = resp.headers.get("set-cookie");
-  if (!cookie) {
-    throw new Error("No authentication cookie received");
+/**
+ * Checks if a ship is allowed to send DMs to the bot
+ */
+function isDmAllowed(senderShip, account) {
+  // If dmAllowlist is not configured or empty, allow all
+  if (!account.dmAllowlist || !Array.isArray(account.dmAllowlist) || account.dmAllowlist.length === 0) {
+    return true;
   }
 
-  return cookie;
+  // Normalize ship names for comparison (ensure ~ prefix)
+  const normalizedSender = senderShip.startsWith("~")
+    ? senderShip
+    : `~${senderShip}`;
+
+  const normalizedAllowlist = account.dmAllowlist
+    .map((ship) => ship.startsWith("~") ? ship : `~${ship}`);
+
+  // Check if sender is in allowlist
+  return normalizedAllowlist.includes(normalizedSender);
 }
 
 /**
- * Sends a direct message via Urbit
+ * Decides how to answer a pending DM invite
+ * Policies (`dmInvitePolicy`):
+ * - "allowlist" (default): accept ships allowed by `dmAllowlist`, decline the rest
+ * - "accept": accept every invite
+ * - "manual": leave invites pending for a human to answer
+ * Returns "accept", "decline" or null (leave pending).
  */
-async function sendDm(api, fromShip, toShip, text) {
-  const story = [{ inline: [text] }];
-  const sentAt = Date.now();
-  const idUd = formatUd(unixToDa(sentAt).toString());
-  const id = `${fromShip}/${idUd}`;
-
-  const delta = {
-    add: {
-      memo: {
-        content: story,
-        author: fromShip,
-        sent: sentAt,
-      },
-      kind: null,
-      time: null,
-    },
-  };
-
-  const action = {
-    ship: toShip,
-    diff: { id, delta },
-  };
+function resolveDmInviteDecision(senderShip, account) {
+  const policy = account.dmInvitePolicy || "allowlist";
+  if (policy === "manual") return null;
+  if (policy === "accept") return "accept";
+  return isDmAllowed(senderShip, account) ? "accept" : "decline";
+}
 
+/**
+ * Accepts or declines a DM invite via poke
+ */
+async function respondToDmInvite(api, ship, ok) {
   await api.poke({
     app: "chat",
-    mark: "chat-dm-action",
-    json: action,
+    mark: "chat-dm-rsvp",
+    json: { ship, ok },
   });
+}
 
-  return { channel: "tlon", success: true, messageId: id };
+/**
+ * Normalizes a list of ship names to include the ~ prefix
+ */
+function normalizeShips(ships) {
+  return (Array.isArray(ships) ? ships : [])
+    .map((ship) => ship.startsWith("~") ? ship : `~${ship}`);
 }
 
 /**
- * Sends a message to a group channel
- * @param {string} replyTo - Optional parent post ID for threading
+ * Checks whether a group invite should be auto-joined
+ * Joins only when `groupInvites.autoJoin` is set and either the inviter is
+ * in `trustedShips` or the group's host is in `trustedHosts`.
  */
-async function sendGroupMessage(api, fromShip, hostShip, channelName, text, replyTo = null) {
-  const story = [{ inline: [text] }];
-  const sentAt = Date.now();
-
-  const action = {
-    channel: {
-      nest: `chat/${hostShip}/${channelName}`,
-      action: replyTo ? {
-        // Reply action for threading
-        reply: {
-          id: replyTo,
-          delta: {
-            add: {
-              memo: {
-                content: story,
-                author: fromShip,
-                sent: sentAt,
-              }
-            }
-          }
-        }
-      } : {
-        // Regular post action
-        post: {
-          add: {
-            content: story,
-            author: fromShip,
-            sent: sentAt,
-            kind: "/chat",
-            blob: null,
-            meta: null,
-          },
-        },
-      },
-    },
-  };
+function isTrustedGroupInvite({ flag, inviter }, account) {
+  const policy = account.groupInvites || {};
+  if (!policy.autoJoin) return false;
+
+  const hostShip = flag.split("/")[0];
+  return normalizeShips(policy.trustedShips).includes(inviter)
+    || normalizeShips(policy.trustedHosts).includes(hostShip);
+}
 
+/**
+ * Joins a group (and all of its channels) via poke
+ */
+async function joinGroup(api, flag) {
   await api.poke({
-    app: "channels",
-    mark: "channel-action-1",
-    json: action,
+    app: "groups",
+    mark: "group-join",
+    json: { flag, "join-all": true },
   });
-
-  return { channel: "tlon", success: true, messageId: `${fromShip}/${sentAt}` };
 }
 
 /**
- * Checks if the bot's ship is mentioned in a message
+ * Default reaction settings
+ * `ack` marks a message the bot is working on; once the reply is delivered
+ * it is replaced by `done` (or removed), and on failure by `error`.
+ * `triggers` map reactions on the bot's replies to "feedback" or "regenerate".
  */
-function isBotMentioned(messageText, botShipName) {
-  if (!messageText || !botShipName) return false;
+const DEFAULT_REACTIONS = {
+  ack: "👀",
+  done: null,
+  error: "⚠️",
+  triggers: { "👎": "feedback" },
+};
 
-  // Normalize bot ship name (ensure it has ~)
-  const normalizedBotShip = botShipName.startsWith("~")
-    ? botShipName
-    : `~${botShipName}`;
-
-  // Escape special regex characters
-  const escapedShip = normalizedBotShip.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-
-  // Check for mention - ship name should be at start, after whitespace, or standalone
-  const mentionPattern = new RegExp(`(^|\\s)${escapedShip}(?=\\s|$)`, "i");
-  return mentionPattern.test(messageText);
+/**
+ * Resolves reaction settings for an account
+ * `reactions: false` turns reactions off entirely.
+ */
+function resolveReactionOptions(account) {
+  if (account.reactions === false) {
+    return { ack: null, done: null, error: null, triggers: {} };
+  }
+  const reactions = account.reactions || {};
+  return {
+    ack: reactions.ack === undefined ? DEFAULT_REACTIONS.ack : reactions.ack || null,
+    done: reactions.done || null,
+    error: reactions.error === undefined ? DEFAULT_REACTIONS.error : reactions.error || null,
+    triggers: reactions.triggers || DEFAULT_REACTIONS.triggers,
+  };
 }
 
 /**
- * Checks if a ship is allowed to send DMs to the bot
+ * Sets a Map entry, dropping the oldest entries beyond `max`
  */
-function isDmAllowed(senderShip, account) {
-  // If dmAllowlist is not configured or empty, allow all
-  if (!account.dmAllowlist || !Array.isArray(account.dmAllowlist) || account.dmAllowlist.length === 0) {
-    return true;
+function rememberBounded(map, key, value, max) {
+  map.delete(key);
+  map.set(key, value);
+  while (map.size > max) {
+    map.delete(map.keys().next().value);
   }
+}
 
-  // Normalize ship names for comparison (ensure ~ prefix)
-  const normalizedSender = senderShip.startsWith("~")
-    ? senderShip
-    : `~${senderShip}`;
+// How many of the bot's recent replies are tracked for reaction triggers
+const MAX_TRACKED_REPLIES = 200;
 
-  const normalizedAllowlist = account.dmAllowlist
-    .map((ship) => ship.startsWith("~") ? ship : `~${ship}`);
+// How many of the bot's own recent channel posts are tracked
+const MAX_TRACKED_MESSAGES = 500;
 
-  // Check if sender is in allowlist
-  return normalizedAllowlist.includes(normalizedSender);
+// How many answered group invites are remembered
+const MAX_TRACKED_GROUP_INVITES = 200;
+
+/**
+ * Hashes story content, to tell real edits from repeated deliveries
+ */
+function hashContent(content) {
+  return createHash("sha256").update(JSON.stringify(content ?? null)).digest("hex");
 }
 
 /**
  * Extracts text content from Tlon message structure
+ * Converts the story to markdown so formatting, code blocks, images and
+ * cites survive the trip to the agent.
  */
 function extractMessageText(content) {
   if (!content || !Array.isArray(content)) return "";
-
-  return content
-    .map((block) => {
-      if (block.inline && Array.isArray(block.inline)) {
-        return block.inline
-          .map((item) => {
-            if (typeof item === "string") return item;
-            if (item && typeof item === "object") {
-              if (item.ship) return item.ship; // Ship mention
-              if (item.break !== undefined) return "\n"; // Line break
-              if (item.link && item.link.href) return item.link.href; // URL link
-              // Skip other objects (images, etc.)
-            }
-            return "";
-          })
-          .join("");
-      }
-      return "";
-    })
-    .join("\n")
-    .trim();
+  return storyToMarkdown(content);
 }
 
+/**
+ * Channel kinds the bot can monitor
+ * chat: chat channels, diary: notebooks, heap: galleries
+ */
+const SUPPORTED_CHANNEL_KINDS = ["chat", "diary", "heap"];
+
+const CHANNEL_KIND_LABELS = {
+  chat: "chat",
+  diary: "notebook",
+  heap: "gallery",
+};
+
 /**
  * Parses a channel nest identifier
- * Format: chat/~host-ship/channel-name
+ * Format: {chat|diary|heap}/~host-ship/channel-name
  */
 function parseChannelNest(nest) {
   if (!nest) return null;
   const parts = nest.split("/");
-  if (parts.length !== 3 || parts[0] !== "chat") return null;
+  if (parts.length !== 3 || !SUPPORTED_CHANNEL_KINDS.includes(parts[0])) return null;
 
   return {
+    kind: parts[0],
     hostShip: parts[1],
     channelName: parts[2],
   };
 }
 
 /**
- * Message cache for channel history (for faster access)
- * Structure: Map<channelNest, Array<{author, content, timestamp, id}>>
+ * Extracts the text of a channel post
+ * Notebook posts and gallery curios carry a title (and notebooks a cover
+ * image) in their metadata; these are prepended so the agent sees them.
+ */
+function extractPostText(post) {
+  const text = extractMessageText(post?.content);
+  const meta = post?.meta || post?.["kind-data"]?.diary ||
+    (post?.["kind-data"]?.heap ? { title: post["kind-data"].heap } : null);
+  if (!meta) return text;
+
+  const header = [];
+  if (meta.title) header.push(`# ${meta.title}`);
+  if (meta.image) header.push(`![cover image](${meta.image})`);
+  if (header.length === 0) return text;
+  return text ? `${header.join("\n\n")}\n\n${text}` : header.join("\n\n");
+}
+
+/**
+ * Resolves where a reply to a message should be posted
+ * Returns `{ ship }` for DMs, `{ club }` for group DMs, or
+ * `{ kind, hostShip, channelName, replyTo }` for channels; null if the
+ * channel nest cannot be parsed.
  */
-const messageCache = new Map();
-const MAX_CACHED_MESSAGES = 100;
+function resolveReplyTarget({ isGroup, groupChannel, senderShip, parentId, clubId }) {
+  if (!isGroup) return { ship: senderShip };
+  if (clubId) return { club: clubId };
+
+  const parsed = parseChannelNest(groupChannel);
+  if (!parsed) return null;
+
+  return {
+    kind: parsed.kind,
+    hostShip: parsed.hostShip,
+    channelName: parsed.channelName,
+    replyTo: parentId || null,
+  };
+}
+
+// Posts fetched per history page
+const HISTORY_PAGE_SIZE = 100;
+
+// Posts fetched to seed the message store for a channel with none stored
+const STORE_BACKFILL_COUNT = 100;
 
 /**
- * Adds a message to the cache
+ * Extracts messages from a channels posts scry result
+ * Returns messages newest first, plus the cursor for older posts
  */
-function cacheMessage(channelNest, message) {
-  if (!messageCache.has(channelNest)) {
-    messageCache.set(channelNest, []);
+function parseHistoryPage(data, runtime) {
+  if (!data) {
+    runtime?.log?.(`[tlon] Data is null`);
+    return { messages: [], older: null };
   }
 
-  const cache = messageCache.get(channelNest);
-  cache.unshift(message); // Add to front (most recent)
-
-  // Keep only last MAX_CACHED_MESSAGES
-  if (cache.length > MAX_CACHED_MESSAGES) {
-    cache.pop();
+  // Extract posts from pagination object
+  let posts = [];
+  if (Array.isArray(data)) {
+    // Direct array of posts
+    posts = data;
+  } else if (data.posts && typeof data.posts === 'object') {
+    // Pagination object with posts property (keyed by ID)
+    posts = Object.values(data.posts);
+    runtime?.log?.(`[tlon] Extracted ${posts.length} posts from pagination object`);
+  } else if (typeof data === 'object') {
+    // Fallback: treat as keyed object
+    posts = Object.values(data);
   }
+
+  // Extract posts from outline format
+  const messages = posts.map(item => {
+    // Handle both post and r-post structures
+    const essay = item?.essay || item?.['r-post']?.set?.essay;
+    const seal = item?.seal || item?.['r-post']?.set?.seal;
+
+    return {
+      author: essay?.author || 'unknown',
+      content: extractMessageText(essay?.content || []),
+      timestamp: essay?.sent || Date.now(),
+      id: seal?.id,
+    };
+  })
+    .filter(msg => msg.content) // Filter out empty messages
+    .sort((a, b) => b.timestamp - a.timestamp);
+
+  return { messages, older: Array.isArray(data) ? null : data.older || null };
 }
 
 /**
  * Fetches channel history from Urbit via scry
- * Format: /channels/v4/<channel-nest>/posts/newest/<count>/outline.json
- * Returns pagination object: { newest, posts: {...}, total, newer, older }
+ * Format: /channels/v4/<channel-nest>/posts/newest/<count>/outline.json,
+ * then /channels/v4/<channel-nest>/posts/older/<cursor>/<count>/outline.json
+ * Pages back through the `older` cursor until `count` messages are
+ * collected or, with `since`, the window is covered. Returns messages
+ * newest first.
  */
-async function fetchChannelHistory(api, channelNest, count = 50, runtime) {
+async function fetchChannelHistory(api, channelNest, count = 50, runtime, { since = null } = {}) {
+  const messages = [];
   try {
-    const scryPath = `/channels/v4/${channelNest}/posts/newest/${count}/outline.json`;
-    runtime?.log?.(`[tlon] Fetching history: ${scryPath}`);
+    let scryPath = `/channels/v4/${channelNest}/posts/newest/${Math.min(count, HISTORY_PAGE_SIZE)}/outline.json`;
 
-    const data = await api.scry(scryPath);
-    runtime?.log?.(`[tlon] Scry returned data type: ${Array.isArray(data) ? 'array' : typeof data}, keys: ${typeof data === 'object' ? Object.keys(data).slice(0, 5).join(', ') : 'N/A'}`);
+    while (scryPath) {
+      runtime?.log?.(`[tlon] Fetching history: ${scryPath}`);
+      const data = await api.scry(scryPath);
+      const page = parseHistoryPage(data, runtime);
+      messages.push(...page.messages);
 
-    if (!data) {
-      runtime?.log?.(`[tlon] Data is null`);
-      return [];
-    }
+      const oldest = page.messages[page.messages.length - 1];
+      const covered = messages.length >= count
+        || (since && oldest && oldest.timestamp < since);
+      if (covered || !page.older || page.messages.length === 0) break;
 
-    // Extract posts from pagination object
-    let posts = [];
-    if (Array.isArray(data)) {
-      // Direct array of posts
-      posts = data;
-    } else if (data.posts && typeof data.posts === 'object') {
-      // Pagination object with posts property (keyed by ID)
-      posts = Object.values(data.posts);
-      runtime?.log?.(`[tlon] Extracted ${posts.length} posts from pagination object`);
-    } else if (typeof data === 'object') {
-      // Fallback: treat as keyed object
-      posts = Object.values(data);
+      const pageSize = Math.min(count - messages.length, HISTORY_PAGE_SIZE);
+      scryPath = `/channels/v4/${channelNest}/posts/older/${page.older}/${pageSize}/outline.json`;
     }
 
-    runtime?.log?.(`[tlon] Processing ${posts.length} posts`);
-
-    // Extract posts from outline format
-    const messages = posts.map(item => {
-      // Handle both post and r-post structures
-      const essay = item.essay || item['r-post']?.set?.essay;
-      const seal = item.seal || item['r-post']?.set?.seal;
-
-      return {
-        author: essay?.author || 'unknown',
-        content: extractMessageText(essay?.content || []),
-        timestamp: essay?.sent || Date.now(),
-        id: seal?.id,
-      };
-    }).filter(msg => msg.content); // Filter out empty messages
-
     runtime?.log?.(`[tlon] Extracted ${messages.length} messages from history`);
-    return messages;
+    return messages
+      .filter(msg => !since || msg.timestamp >= since)
+      .slice(0, count);
   } catch (error) {
     runtime?.log?.(`[tlon] Error fetching channel history: ${error.message}`);
     console.error(`[tlon] Error fetching channel history: ${error.message}`, error.stack);
-    return [];
+    return messages.slice(0, count);
   }
 }
 
 /**
- * Gets recent channel history (tries cache first, then scry)
+ * Gets recent channel posts (tries the message store first, then scry)
+ * Like the scry, the store only contributes top-level posts. It serves a
+ * request only when the window (`since`, or the oldest of `count` stored
+ * posts) lies within the time the store is known to have no gaps.
  */
-async function getChannelHistory(api, channelNest, count = 50, runtime) {
-  // Try cache first for speed
-  const cache = messageCache.get(channelNest) || [];
-  if (cache.length >= count) {
-    runtime?.log?.(`[tlon] Using cached messages (${cache.length} available)`);
-    return cache.slice(0, count);
+async function getChannelHistory(api, store, channelNest, count = 50, runtime, { since = null } = {}) {
+  // Try the store first for speed
+  const stored = store.list(channelNest, { count, since, topLevel: true });
+  const completeSince = store.completeSince(channelNest);
+  const windowStart = since ?? (stored.length >= count ? stored[stored.length - 1].timestamp : null);
+  if (completeSince !== null && windowStart !== null && windowStart >= completeSince) {
+    runtime?.log?.(`[tlon] Using stored messages (${stored.length} in range)`);
+    return stored;
   }
 
-  runtime?.log?.(`[tlon] Cache has ${cache.length} messages, need ${count}, fetching from scry...`);
+  runtime?.log?.(`[tlon] Store has ${stored.length} messages in range, need ${count} (or has a gap), fetching from scry...`);
   // Fall back to scry for full history
-  return await fetchChannelHistory(api, channelNest, count, runtime);
+  return await fetchChannelHistory(api, channelNest, count, runtime, { since });
+}
+
+// How many earlier replies are included as thread context
+const MAX_THREAD_CONTEXT_REPLIES = 20;
+
+/**
+ * Fetches a thread's parent post and its replies via scry
+ * Format: /channels/v4/<channel-nest>/posts/post/<id>.json
+ * Returns { starter, replies } with messages shaped like history entries,
+ * replies oldest first, or null if the post can't be fetched
+ */
+async function fetchThreadContext(api, channelNest, parentId, runtime) {
+  try {
+    const post = await api.scry(`/channels/v4/${channelNest}/posts/post/${parentId}.json`);
+    const essay = post?.essay || post?.["r-post"]?.set?.essay;
+    if (!essay) return null;
+
+    const replies = Object.entries(post.seal?.replies || {})
+      .map(([id, reply]) => {
+        const memo = reply?.memo || reply?.["r-reply"]?.set?.memo;
+        return {
+          author: memo?.author || "unknown",
+          content: extractMessageText(memo?.content || []),
+          timestamp: memo?.sent || 0,
+          id: reply?.seal?.id || id,
+        };
+      })
+      .filter((reply) => reply.content)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    return {
+      starter: {
+        author: essay.author || "unknown",
+        content: extractPostText(essay),
+        timestamp: essay.sent || Date.now(),
+        id: parentId,
+      },
+      replies,
+    };
+  } catch (error) {
+    runtime?.log?.(`[tlon] Error fetching thread ${parentId} in ${channelNest}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Gets a thread's parent post and earlier replies (tries scry first, then the store)
+ * The message being answered is left out of the replies.
+ */
+async function getThreadContext(api, store, channelNest, parentId, messageId, runtime) {
+  let thread = await fetchThreadContext(api, channelNest, parentId, runtime);
+
+  if (!thread) {
+    // Fall back to whatever the message store has seen of this thread
+    const starter = store.get(channelNest, parentId);
+    if (!starter) return null;
+    runtime?.log?.(`[tlon] Using stored thread context for ${parentId}`);
+    thread = {
+      starter,
+      replies: store.replies(channelNest, parentId),
+    };
+  }
+
+  return {
+    starter: thread.starter,
+    replies: thread.replies
+      .filter((reply) => reply.id !== messageId)
+      .slice(-MAX_THREAD_CONTEXT_REPLIES),
+  };
 }
 
 /**
- * Detects if a message is a summarization request
+ * Formats a thread's earlier replies for the agent
  */
-function isSummarizationRequest(messageText) {
-  const patterns = [
-    /summarize\s+(this\s+)?(channel|chat|conversation)/i,
-    /what\s+did\s+i\s+miss/i,
-    /catch\s+me\s+up/i,
-    /channel\s+summary/i,
-    /tldr/i,
-  ];
-  return patterns.some(pattern => pattern.test(messageText));
+function formatThreadReplies(replies) {
+  return replies
+    .map((reply) => `[${new Date(reply.timestamp).toLocaleString()}] ${reply.author}: ${reply.content}`)
+    .join("\n");
 }
 
 /**
@@ -421,13 +583,12 @@ async function fetchAllChannels(api, runtime) {
 
     const channels = [];
 
-    // Extract chat channels from the groups data structure
+    // Extract chat, notebook and gallery channels from the groups data structure
     if (initData && initData.groups) {
       for (const [groupKey, groupData] of Object.entries(initData.groups)) {
         if (groupData.channels) {
           for (const channelNest of Object.keys(groupData.channels)) {
-            // Only include chat channels (not diary, heap, etc.)
-            if (channelNest.startsWith("chat/")) {
+            if (parseChannelNest(channelNest)) {
               channels.push(channelNest);
             }
           }
@@ -436,10 +597,10 @@ async function fetchAllChannels(api, runtime) {
     }
 
     if (channels.length > 0) {
-      runtime.log?.(`[tlon] Auto-discovered ${channels.length} chat channel(s)`);
+      runtime.log?.(`[tlon] Auto-discovered ${channels.length} channel(s)`);
       runtime.log?.(`[tlon] Channels: ${channels.slice(0, 5).join(", ")}${channels.length > 5 ? "..." : ""}`);
     } else {
-      runtime.log?.(`[tlon] No chat channels found via auto-discovery`);
+      runtime.log?.(`[tlon] No channels found via auto-discovery`);
       runtime.log?.(`[tlon] Add channels manually to config: channels.tlon.groupChannels`);
     }
 
@@ -452,6 +613,37 @@ async function fetchAllChannels(api, runtime) {
   }
 }
 
+// Resubscription after the ship ends a subscription: exponential backoff
+// per conversation, giving up after MAX_RESUBSCRIBE_ATTEMPTS quits that
+// each came within RESUBSCRIBE_STABLE_MS of the previous attempt
+const RESUBSCRIBE_BASE_DELAY_MS = 2000;
+const RESUBSCRIBE_MAX_DELAY_MS = 5 * 60 * 1000;
+const MAX_RESUBSCRIBE_ATTEMPTS = 5;
+const RESUBSCRIBE_STABLE_MS = 10 * 60 * 1000;
+
+// Longest wait between two reconnection attempts, by default
+const DEFAULT_RECONNECT_MAX_DELAY_MS = 60 * 1000;
+
+/**
+ * Resolves SSE reconnection settings for an account
+ * By default the monitor reconnects forever. With `reconnect.maxAttempts`
+ * it gives up after that many failures in a row and ends with an error, so
+ * the gateway restarts it.
+ */
+function resolveReconnectOptions(account) {
+  const config = account?.reconnect || {};
+  const maxAttempts = Number(config.maxAttempts);
+  const maxDelayMs = Number(config.maxDelayMs);
+  return {
+    maxReconnectAttempts: Number.isFinite(maxAttempts) && maxAttempts > 0
+      ? maxAttempts
+      : Infinity,
+    maxReconnectDelay: Number.isFinite(maxDelayMs) && maxDelayMs > 0
+      ? maxDelayMs
+      : DEFAULT_RECONNECT_MAX_DELAY_MS,
+  };
+}
+
 /**
  * Monitors Tlon/Urbit for incoming DMs and group messages
  */
@@ -479,6 +671,14 @@ export async function monitorTlonProvider(opts = {}) {
 
   runtime.log?.(`[tlon] Starting monitor for ${botShipName}`);
 
+  // Rejected once the connection can't be restored, which ends the monitor
+  // with that error so the gateway can restart it
+  let failMonitor;
+  const monitorFailure = new Promise((resolve, reject) => {
+    failMonitor = reject;
+  });
+  monitorFailure.catch(() => {});
+
   // Authenticate with Urbit
   let api;
   let cookie;
@@ -490,11 +690,81 @@ export async function monitorTlonProvider(opts = {}) {
     runtime.log?.(`[tlon] Successfully authenticated to ${account.url}`);
 
     // Create custom SSE client
-    api = new UrbitSSEClient(account.url, cookie);
+    // It logs in again with the code when the session expires. Catch up on
+    // anything posted while the stream was down; a resumed channel replays
+    // its unacked events itself.
+    api = new UrbitSSEClient(account.url, cookie, {
+      ...resolveReconnectOptions(account),
+      code: account.code,
+      onAuthError: (error) => {
+        runtime.error?.(`[tlon] Authentication failed, check the ship's +code: ${error.message}`);
+        opts.setStatus?.({ authError: error.message, lastError: error.message });
+      },
+      onAuthRestored: () => {
+        runtime.log?.(`[tlon] Authentication works again`);
+        opts.setStatus?.({ authError: null });
+      },
+      onReconnected: (client, { resumed }) => {
+        if (!resumed) scheduleCatchUp("reconnect");
+      },
+      onReconnectState: (state) => {
+        opts.setStatus?.({ reconnect: state });
+      },
+      onReconnectFailed: (error) => {
+        runtime.error?.(`[tlon] Giving up on the connection to ${account.url}: ${error.message}`);
+        failMonitor(error);
+      },
+    });
   } catch (error) {
     runtime.error?.(`[tlon] Failed to authenticate: ${error.message}`);
+    if (error instanceof UrbitAuthError) {
+      opts.setStatus?.({ authError: error.message });
+    }
     throw error;
   }
+  opts.setStatus?.({ authError: null });
+
+  // Ship storage config, used to recognize attachments linked from the bucket
+  let storage = await fetchStorageConfig(api, runtime);
+  if (storage) {
+    runtime.log?.(`[tlon] Ship storage configured (bucket: ${storage.bucket || "unknown"})`);
+  }
+  const mediaOptions = resolveMediaOptions(account);
+  await pruneInboundMedia(runtime);
+
+  // Per-account message store for history, summaries and thread context
+  const storeOptions = resolveStoreOptions(account);
+  const store = createMessageStore({ ...storeOptions, runtime });
+  try {
+    await store.load();
+  } catch (error) {
+    runtime.error?.(`[tlon] Failed to load message store from ${storeOptions.dir}: ${error.message}`);
+  }
+
+  // Newest message seen per conversation, to catch up from after a gap
+  const catchUpOptions = resolveCatchUpOptions(account);
+  const watermarks = createWatermarkStore({ file: catchUpOptions.file, runtime });
+  if (catchUpOptions.enabled) {
+    await watermarks.load();
+  }
+
+  // Names the bot answers to besides its ship: configured aliases and,
+  // unless disabled, its contact nickname
+  const nickname = account.mentionNickname === false
+    ? null
+    : await fetchContactNickname(api, botShipName, runtime);
+  const mentionNames = resolveMentionNames({
+    botShipName,
+    aliases: account.mentionAliases || [],
+    nickname,
+  });
+  runtime.log?.(`[tlon] Answering to: ${mentionNames.join(", ")}`);
+
+  // Storage for outbound uploads (plugin config overrides the ship's)
+  let uploadStorage = resolveUploadStorage(account, storage);
+  if (uploadStorage) {
+    runtime.log?.(`[tlon] Outbound media uploads enabled (bucket: ${uploadStorage.bucket})`);
+  }
 
   // Get list of group channels to monitor
   let groupChannels = [];
@@ -526,15 +796,294 @@ export async function monitorTlonProvider(opts = {}) {
     runtime.log?.(`[tlon] No group channels to monitor (DMs only)`);
   }
 
-  // Keep track of processed message IDs to avoid duplicates
-  const processedMessages = new Set();
+  // Messages already handled, kept across restarts so replays of the
+  // stream or catch-up never answer twice
+  const processedMessages = createDedupStore({ file: resolveDedupFile(account.accountId), runtime });
+  await processedMessages.load();
+
+  /**
+   * Checks whether a ship may invoke the bot in a channel or group DM
+   * Rules come from `authorization.channelRules`, keyed by channel nest or
+   * club id; conversations without a rule are restricted to
+   * `defaultAuthorizedShips`.
+   */
+  const isSenderAuthorized = (conversationKey, senderShip) => {
+    const tlonConfig = opts.cfg?.channels?.tlon;
+    const authorization = tlonConfig?.authorization || {};
+    const channelRules = authorization.channelRules || {};
+    const defaultAuthorizedShips = tlonConfig?.defaultAuthorizedShips || ["~malmur-halmex"];
+
+    // Get channel rule or use default (restricted)
+    const channelRule = channelRules[conversationKey];
+    const mode = channelRule?.mode || "restricted"; // Default to restricted
+    const allowedShips = channelRule?.allowedShips || defaultAuthorizedShips;
+
+    // Normalize sender ship (ensure it has ~)
+    const normalizedSender = senderShip.startsWith("~") ? senderShip : `~${senderShip}`;
+
+    // Check authorization for restricted channels
+    if (mode === "restricted") {
+      const isAuthorized = allowedShips.some(ship => {
+        const normalizedAllowed = ship.startsWith("~") ? ship : `~${ship}`;
+        return normalizedAllowed === normalizedSender;
+      });
+
+      if (!isAuthorized) {
+        runtime.log?.(
+          `[tlon] ⛔ Access denied: ${normalizedSender} in ${conversationKey} (restricted, allowed: ${allowedShips.join(", ")})`
+        );
+        return false;
+      }
+
+      runtime.log?.(
+        `[tlon] ✅ Access granted: ${normalizedSender} in ${conversationKey} (authorized user)`
+      );
+    } else {
+      runtime.log?.(
+        `[tlon] ✅ Access granted: ${normalizedSender} in ${conversationKey} (open channel)`
+      );
+    }
+    return true;
+  };
+
+  const reactionOptions = resolveReactionOptions(account);
+
+  // The bot's replies, matched to their posts by `sent` timestamp when
+  // the post echoes back on the subscription
+  // Structure: Map<sent, { params }> until echoed, then
+  // Map<postId, { params, reacts }> with the latest reactions on the post
+  const pendingReplies = new Map();
+  const unmatchedEchoes = new Map();
+  const botPosts = new Map();
+
+  // Posts the bot authored, so replies in their threads count as mentions
+  const botAuthoredPosts = new Map();
+
+  // Authors of thread parents looked up by scry, so each is fetched once
+  const threadAuthors = new Map();
+
+  // The bot's answer posts, keyed by the message they answer
+  // Structure: Map<messageId, postId[]>
+  const answers = new Map();
+
+  /**
+   * Links an echoed post to the reply it carries
+   */
+  const linkBotPost = (postId, params) => {
+    rememberBounded(botPosts, postId, { params, reacts: {} }, MAX_TRACKED_REPLIES);
+    const posts = answers.get(params.messageId) || [];
+    rememberBounded(answers, params.messageId, [...posts, postId], MAX_TRACKED_REPLIES);
+  };
+
+  /**
+   * Records a reply the bot just sent, for its trigger context
+   */
+  const trackBotReply = (sent, params) => {
+    const postId = unmatchedEchoes.get(sent);
+    if (postId) {
+      unmatchedEchoes.delete(sent);
+      linkBotPost(postId, params);
+    } else {
+      rememberBounded(pendingReplies, sent, { params }, MAX_TRACKED_REPLIES);
+    }
+  };
+
+  /**
+   * Checks whether a thread was started by the bot
+   * Posts seen since startup are known; older ones are looked up in the
+   * message store, then by scry.
+   */
+  const isBotThread = async (channelNest, parentId) => {
+    if (botAuthoredPosts.has(parentId)) return true;
+
+    const stored = store.get(channelNest, parentId);
+    if (stored) return stored.author === botShipName;
+
+    if (!threadAuthors.has(parentId)) {
+      const thread = await fetchThreadContext(api, channelNest, parentId, runtime);
+      if (!thread) return false;
+      const author = thread.starter.author;
+      rememberBounded(
+        threadAuthors,
+        parentId,
+        author.startsWith("~") ? author : `~${author}`,
+        MAX_TRACKED_MESSAGES
+      );
+    }
+    return threadAuthors.get(parentId) === botShipName;
+  };
+
+  /**
+   * Records the echo of one of the bot's own posts
+   * The echo may arrive before the send completes, so either side can
+   * come first.
+   */
+  const trackBotEcho = (postId, sent) => {
+    rememberBounded(botAuthoredPosts, postId, true, MAX_TRACKED_MESSAGES);
+    rememberBounded(echoedPosts, sent, postId, MAX_TRACKED_REPLIES);
+    const reply = pendingReplies.get(sent);
+    if (reply) {
+      pendingReplies.delete(sent);
+      linkBotPost(postId, reply.params);
+    } else {
+      rememberBounded(unmatchedEchoes, sent, postId, MAX_TRACKED_REPLIES);
+    }
+    echoWaiters.get(sent)?.(postId);
+  };
+
+  // Callers waiting for the echo of a post they just sent, and the ids of
+  // the bot's recently echoed posts
+  // Structure: Map<sent, resolve>, Map<sent, postId>
+  const echoWaiters = new Map();
+  const echoedPosts = new Map();
+
+  /**
+   * Waits for the echo of a just-sent post and returns its post id
+   * Resolves to null if no echo arrives within `timeoutMs`.
+   */
+  const waitForEcho = (sent, timeoutMs) => {
+    if (echoedPosts.has(sent)) {
+      return Promise.resolve(echoedPosts.get(sent));
+    }
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        echoWaiters.delete(sent);
+        resolve(null);
+      }, timeoutMs);
+      echoWaiters.set(sent, (postId) => {
+        clearTimeout(timer);
+        echoWaiters.delete(sent);
+        resolve(postId);
+      });
+    });
+  };
+
+  /**
+   * Deletes the bot's answer to a message
+   * Used when the message is deleted (`onDelete: "retract"`) or edited
+   * (`onEdit: "update"`). Returns the number of posts removed.
+   */
+  const retractAnswers = async (messageId) => {
+    const postIds = answers.get(messageId) || [];
+    answers.delete(messageId);
+
+    let removed = 0;
+    for (const postId of postIds) {
+      const post = botPosts.get(postId);
+      const target = post && resolveReplyTarget(post.params);
+      botPosts.delete(postId);
+      if (!target) continue;
+      try {
+        await deletePost(api, botShipName, target, postId);
+        removed++;
+      } catch (error) {
+        runtime.error?.(`[tlon] Failed to retract reply ${postId}: ${error.message}`);
+      }
+    }
+    return removed;
+  };
+
+  const editPolicy = account.onEdit || "reply";
+  const deletePolicy = account.onDelete || "keep";
+
+  /**
+   * Handles a deleted message: drops it from the cache and, by policy,
+   * retracts the bot's answer
+   */
+  const handleDeletedMessage = async (conversationKey, messageId) => {
+    store.remove(conversationKey, messageId);
+
+    if (deletePolicy !== "retract" || !answers.has(messageId)) return;
+    const removed = await retractAnswers(messageId);
+    runtime.log?.(`[tlon] 🗑️ Message ${messageId} in ${conversationKey} was deleted, retracted ${removed} reply post(s)`);
+  };
+
+  /**
+   * Decides what an edit to a message should do
+   * Returns "reply" when the edit newly mentions the bot, "update" when an
+   * answered message changed and `onEdit` is "update", otherwise null.
+   */
+  const resolveEditAction = (messageId, previous, mentioned) => {
+    if (editPolicy === "ignore" || !mentioned) return null;
+    if (!previous?.mentioned) return "reply";
+    if (editPolicy === "update" && answers.has(messageId)) return "update";
+    return null;
+  };
+
+  /**
+   * Runs the trigger for a reaction on one of the bot's replies
+   */
+  const handleBotPostReaction = async ({ postId, reactor, react }) => {
+    const post = botPosts.get(postId);
+    if (!post || !react) return;
+
+    const reactorShip = reactor?.startsWith("~") ? reactor : `~${reactor}`;
+    if (reactorShip === botShipName) return;
+
+    const action = reactionOptions.triggers[react];
+    if (!action) return;
+
+    const { params } = post;
+    const where = params.isGroup ? params.groupName : `DM with ${params.senderShip}`;
+
+    if (action === "feedback") {
+      runtime.log?.(
+        `[tlon] 📝 Feedback ${react} from ${reactorShip} on reply ${postId} in ${where} (prompt: "${params.messageText.slice(0, 80)}")`
+      );
+      return;
+    }
+
+    if (action === "regenerate") {
+      const allowed = params.isGroup
+        ? isSenderAuthorized(params.groupChannel, reactorShip)
+        : reactorShip === params.senderShip && isDmAllowed(reactorShip, account);
+      if (!allowed || post.regenerated) return;
+
+      post.regenerated = true;
+      runtime.log?.(`[tlon] 🔄 Regenerating reply ${postId} in ${where} (requested by ${reactorShip})`);
+      await processMessage({ ...params, timestamp: Date.now() });
+      return;
+    }
+
+    runtime.log?.(`[tlon] Unknown reaction trigger "${action}" for ${react}`);
+  };
+
+  /**
+   * Handles a channel post's full reaction map, triggering on changed entries
+   */
+  const handleChannelReacts = async (postId, reacts) => {
+    const post = botPosts.get(postId);
+    if (!post) return;
+
+    const previous = post.reacts;
+    post.reacts = reacts || {};
+    for (const [reactor, react] of Object.entries(post.reacts)) {
+      if (previous[reactor] !== react) {
+        await handleBotPostReaction({ postId, reactor, react });
+      }
+    }
+  };
 
   /**
    * Handler for incoming DM messages
+   * Built per ship: live `/dm/~ship` events don't say which DM they belong to.
    */
-  const handleIncomingDM = async (update) => {
+  const handleIncomingDM = (dmShip) => async (update) => {
     try {
-      runtime.log?.(`[tlon] DM handler called with update: ${JSON.stringify(update).substring(0, 200)}`);
+      runtime.log?.(`[tlon] DM handler called for ${dmShip} with update: ${JSON.stringify(update).substring(0, 200)}`);
+
+      // Reactions on the bot's replies
+      const addReact = update?.response?.["add-react"];
+      if (addReact) {
+        await handleBotPostReaction({ postId: update.id, reactor: addReact.ship, react: addReact.react });
+        return;
+      }
+
+      // Deleted messages
+      if (update?.response && "del" in update.response) {
+        await handleDeletedMessage(`dm/${dmShip}`, update.id);
+        return;
+      }
 
       // Handle new DM event format: response.add.memo
       const memo = update?.response?.add?.memo;
@@ -544,17 +1093,34 @@ export async function monitorTlonProvider(opts = {}) {
       }
 
       const messageId = update.id;
-      if (processedMessages.has(messageId)) return;
-      processedMessages.add(messageId);
-
       const senderShip = memo.author?.startsWith("~")
         ? memo.author
         : `~${memo.author}`;
+      const conversationKey = `dm/${dmShip}`;
 
-      // Don't respond to our own messages
-      if (senderShip === botShipName) return;
+      const processedKey = processedMessageKey(conversationKey, messageId);
+      if (processedMessages.has(processedKey)) return;
+      processedMessages.add(processedKey);
+
+      watermarks.advance(conversationKey, memo.sent);
 
       const messageText = extractMessageText(memo.content);
+      if (messageText) {
+        store.add(conversationKey, {
+          author: senderShip,
+          content: messageText,
+          timestamp: memo.sent || Date.now(),
+          id: messageId,
+          parentId: null,
+        });
+      }
+
+      // Don't respond to our own messages
+      if (senderShip === botShipName) {
+        trackBotEcho(messageId, memo.sent);
+        return;
+      }
+
       if (!messageText) return;
 
       // Check DM access control
@@ -577,28 +1143,154 @@ export async function monitorTlonProvider(opts = {}) {
         messageText,
         isGroup: false,
         timestamp: memo.sent || Date.now(),
+        story: memo.content,
+        mediaRefs: collectStoryMedia(memo.content, storage),
       });
     } catch (error) {
       runtime.error?.(`[tlon] Error handling DM: ${error.message}`);
     }
   };
 
+  // Group DM (club) titles, keyed by club id
+  const clubTitles = new Map();
+
   /**
-   * Handler for incoming group channel messages
+   * Handler for incoming group DM (club) messages
+   * Updates arrive either as a writ response (response.add.memo) or as a
+   * club diff (diff.delta.writ.delta.add.memo).
    */
-  const handleIncomingGroupMessage = (channelNest) => async (update) => {
+  const handleIncomingClubMessage = (clubId) => async (update) => {
     try {
-      runtime.log?.(`[tlon] Group handler called for ${channelNest} with update: ${JSON.stringify(update).substring(0, 200)}`);
+      runtime.log?.(`[tlon] Club handler called for ${clubId} with update: ${JSON.stringify(update).substring(0, 200)}`);
+
+      const writ = update?.diff?.delta?.writ;
+
+      // Reactions on the bot's replies
+      const addReact = update?.response?.["add-react"] || writ?.delta?.["add-react"];
+      if (addReact) {
+        await handleBotPostReaction({
+          postId: update?.response ? update.id : writ.id,
+          reactor: addReact.ship,
+          react: addReact.react,
+        });
+        return;
+      }
+
+      // Deleted messages
+      const deleted = update?.response ? "del" in update.response : writ?.delta && "del" in writ.delta;
+      if (deleted) {
+        await handleDeletedMessage(`club/${clubId}`, update?.response ? update.id : writ.id);
+        return;
+      }
+
+      const memo = update?.response?.add?.memo || writ?.delta?.add?.memo;
+      if (!memo) {
+        runtime.log?.(`[tlon] Club update has no memo`);
+        return;
+      }
+
+      const messageId = update?.response ? update.id : writ?.id;
+      const processedKey = processedMessageKey(`club/${clubId}`, messageId);
+      if (processedMessages.has(processedKey)) return;
+      processedMessages.add(processedKey);
+
+      const senderShip = memo.author?.startsWith("~")
+        ? memo.author
+        : `~${memo.author}`;
+
+      watermarks.advance(`club/${clubId}`, memo.sent);
+
+      const messageText = extractMessageText(memo.content);
+      if (messageText) {
+        store.add(`club/${clubId}`, {
+          author: senderShip,
+          content: messageText,
+          timestamp: memo.sent || Date.now(),
+          id: messageId,
+          parentId: null,
+        });
+      }
+
+      // Don't respond to our own messages
+      if (senderShip === botShipName) {
+        trackBotEcho(messageId, memo.sent);
+        return;
+      }
+
+      if (!messageText) return;
+
+      // Group DMs behave like channels: only answer when mentioned
+      const mentioned = isMentioned({
+        story: memo.content,
+        text: messageText,
+        botShipName,
+        names: mentionNames,
+      });
+
+      runtime.log?.(
+        `[tlon] Received club message in ${clubId} from ${senderShip}: "${messageText.slice(0, 50)}..." (mentioned: ${mentioned})`
+      );
+
+      if (!mentioned) return;
+      if (!isSenderAuthorized(clubId, senderShip)) return;
+
+      await processMessage({
+        messageId,
+        senderShip,
+        messageText: stripMentions(messageText, mentionNames),
+        isGroup: true,
+        groupChannel: clubId,
+        groupName: clubTitles.get(clubId) || clubId,
+        clubId,
+        timestamp: memo.sent || Date.now(),
+        story: memo.content,
+        mediaRefs: collectStoryMedia(memo.content, storage),
+      });
+    } catch (error) {
+      runtime.error?.(`[tlon] Error handling club message in ${clubId}: ${error.message}`);
+    }
+  };
+
+  /**
+   * Handler for incoming group channel messages
+   */
+  const handleIncomingGroupMessage = (channelNest) => async (update) => {
+    try {
+      runtime.log?.(`[tlon] Group handler called for ${channelNest} with update: ${JSON.stringify(update).substring(0, 200)}`);
       const parsed = parseChannelNest(channelNest);
       if (!parsed) return;
 
-      const { hostShip, channelName } = parsed;
+      const { kind, hostShip, channelName } = parsed;
 
       // Handle both top-level posts and thread replies
       // Top-level: response.post.r-post.set.essay
       // Thread reply: response.post.r-post.reply.r-reply.set.memo
-      const essay = update?.response?.post?.["r-post"]?.set?.essay;
-      const memo = update?.response?.post?.["r-post"]?.reply?.["r-reply"]?.set?.memo;
+      // (notebook and gallery comments arrive as thread replies)
+      const rPost = update?.response?.post?.["r-post"];
+
+      // Reactions on the bot's posts and replies arrive as full reaction maps
+      if (rPost?.reacts) {
+        await handleChannelReacts(update.response.post.id, rPost.reacts);
+        return;
+      }
+      if (rPost?.reply?.["r-reply"]?.reacts) {
+        await handleChannelReacts(rPost.reply.id, rPost.reply["r-reply"].reacts);
+        return;
+      }
+
+      // Deleted posts and replies arrive as a null set
+      if (rPost && "set" in rPost && !rPost.set) {
+        await handleDeletedMessage(channelNest, update.response.post.id);
+        return;
+      }
+      const rReply = rPost?.reply?.["r-reply"];
+      if (rReply && "set" in rReply && !rReply.set) {
+        await handleDeletedMessage(channelNest, rPost.reply.id);
+        return;
+      }
+
+      const essay = rPost?.set?.essay;
+      const memo = rPost?.reply?.["r-reply"]?.set?.memo;
 
       if (!essay && !memo) {
         runtime.log?.(`[tlon] Group update has neither essay nor memo`);
@@ -614,75 +1306,81 @@ export async function monitorTlonProvider(opts = {}) {
         ? update.response.post["r-post"]?.reply?.id
         : update.response.post.id;
 
-      if (processedMessages.has(messageId)) {
+      // A known id with changed content is an edit; anything else seen
+      // before is a duplicate delivery. The content hash is kept with the
+      // persisted dedup entry, so edits are recognized across restarts.
+      const hash = hashContent(content.content);
+      const processedKey = processedMessageKey(
+        channelNest,
+        messageId,
+        isThreadReply ? update.response.post.id : null
+      );
+      const isEdit = processedMessages.has(processedKey);
+      const previous = processedMessages.get(processedKey);
+      if (isEdit && (!previous?.hash || previous.hash === hash)) {
         runtime.log?.(`[tlon] Skipping duplicate message ${messageId}`);
         return;
       }
-      processedMessages.add(messageId);
+      processedMessages.add(processedKey, { hash });
 
       const senderShip = content.author?.startsWith("~")
         ? content.author
         : `~${content.author}`;
 
+      watermarks.advance(channelNest, content.sent);
+
+      const messageText = extractPostText(content);
+
+      // Store this message for history, summaries and thread context
+      if (messageText) {
+        store.add(channelNest, {
+          author: senderShip,
+          content: messageText,
+          timestamp: content.sent || Date.now(),
+          id: messageId,
+          parentId: isThreadReply ? update.response.post.id : null,
+        });
+      }
+
       // Don't respond to our own messages
-      if (senderShip === botShipName) return;
+      if (senderShip === botShipName) {
+        trackBotEcho(messageId, content.sent);
+        return;
+      }
 
-      const messageText = extractMessageText(content.content);
       if (!messageText) return;
 
-      // Cache this message for history/summarization
-      cacheMessage(channelNest, {
-        author: senderShip,
-        content: messageText,
-        timestamp: content.sent || Date.now(),
-        id: messageId,
+      // Check if bot is mentioned, structurally, by name or alias, or
+      // implicitly by replying in the thread of one of its posts
+      const namedBot = isMentioned({
+        story: content.content,
+        text: messageText,
+        botShipName,
+        names: mentionNames,
       });
-
-      // Check if bot is mentioned
-      const mentioned = isBotMentioned(messageText, botShipName);
+      const repliesToBot = !namedBot && isThreadReply &&
+        await isBotThread(channelNest, update.response.post.id);
+      const mentioned = namedBot || repliesToBot;
+      processedMessages.add(processedKey, { hash, mentioned });
 
       runtime.log?.(
-        `[tlon] Received group message in ${channelNest} from ${senderShip}: "${messageText.slice(0, 50)}..." (mentioned: ${mentioned})`
+        `[tlon] Received ${isEdit ? "edited" : "group"} message in ${channelNest} from ${senderShip}: "${messageText.slice(0, 50)}..." (mentioned: ${mentioned}${repliesToBot ? ", reply to bot" : ""})`
       );
 
       // Only process if bot is mentioned
       if (!mentioned) return;
 
-      // Check channel authorization
-      const tlonConfig = opts.cfg?.channels?.tlon;
-      const authorization = tlonConfig?.authorization || {};
-      const channelRules = authorization.channelRules || {};
-      const defaultAuthorizedShips = tlonConfig?.defaultAuthorizedShips || ["~malmur-halmex"];
-
-      // Get channel rule or use default (restricted)
-      const channelRule = channelRules[channelNest];
-      const mode = channelRule?.mode || "restricted"; // Default to restricted
-      const allowedShips = channelRule?.allowedShips || defaultAuthorizedShips;
-
-      // Normalize sender ship (ensure it has ~)
-      const normalizedSender = senderShip.startsWith("~") ? senderShip : `~${senderShip}`;
-
-      // Check authorization for restricted channels
-      if (mode === "restricted") {
-        const isAuthorized = allowedShips.some(ship => {
-          const normalizedAllowed = ship.startsWith("~") ? ship : `~${ship}`;
-          return normalizedAllowed === normalizedSender;
-        });
+      // Edits only trigger a reply by policy
+      const editAction = isEdit ? resolveEditAction(messageId, previous, mentioned) : null;
+      if (isEdit && !editAction) return;
 
-        if (!isAuthorized) {
-          runtime.log?.(
-            `[tlon] ⛔ Access denied: ${normalizedSender} in ${channelNest} (restricted, allowed: ${allowedShips.join(", ")})`
-          );
-          return;
-        }
+      // Check channel authorization
+      if (!isSenderAuthorized(channelNest, senderShip)) return;
 
-        runtime.log?.(
-          `[tlon] ✅ Access granted: ${normalizedSender} in ${channelNest} (authorized user)`
-        );
-      } else {
-        runtime.log?.(
-          `[tlon] ✅ Access granted: ${normalizedSender} in ${channelNest} (open channel)`
-        );
+      // Replace the answer to an edited question
+      if (editAction === "update") {
+        const removed = await retractAnswers(messageId);
+        runtime.log?.(`[tlon] ✏️ Message ${messageId} was edited, replacing ${removed} reply post(s)`);
       }
 
       // Extract seal data for thread support
@@ -692,8 +1390,12 @@ export async function monitorTlonProvider(opts = {}) {
         : update?.response?.post?.["r-post"]?.set?.seal;
 
       // For thread replies, all messages in the thread share the same parent-id
-      // We reply to the parent-id to keep our message in the same thread
-      const parentId = seal?.["parent-id"] || seal?.parent || null;
+      // We reply to the parent-id to keep our message in the same thread.
+      // Notebook and gallery posts can only be answered with comments, so a
+      // mention in the post itself is answered on that post.
+      const parentId = isThreadReply
+        ? seal?.["parent-id"] || seal?.parent || update.response.post.id
+        : kind === "chat" ? null : messageId;
       const postType = update?.response?.post?.["r-post"]?.set?.type;
 
       runtime.log?.(
@@ -703,14 +1405,19 @@ export async function monitorTlonProvider(opts = {}) {
       await processMessage({
         messageId,
         senderShip,
-        messageText,
+        messageText: stripMentions(messageText, mentionNames),
         isGroup: true,
         groupChannel: channelNest,
-        groupName: `${hostShip}/${channelName}`,
+        groupName: kind === "chat"
+          ? `${hostShip}/${channelName}`
+          : `${hostShip}/${channelName} (${CHANNEL_KIND_LABELS[kind]})`,
         timestamp: content.sent || Date.now(),
         parentId,   // Reply to parent-id to stay in the thread
+        threadParentId: isThreadReply ? update.response.post.id : null,
         postType,
         seal,
+        story: content.content,
+        mediaRefs: collectStoryMedia(content.content, storage),
       });
     } catch (error) {
       runtime.error?.(
@@ -722,6 +1429,117 @@ export async function monitorTlonProvider(opts = {}) {
   // Load core channel deps
   const deps = await loadCoreChannelDeps();
 
+  // Maximum characters per posted message; longer replies are chunked
+  const textChunkLimit = resolveTextChunkLimit(account);
+
+  // Progressive post edits while the agent is still generating
+  const streamingOptions = resolveStreamingOptions(account);
+
+  // How long to wait for a streaming placeholder to echo back with its id
+  const STREAM_ECHO_TIMEOUT_MS = 10000;
+
+  /**
+   * Fetches the messages a summarization request covers, newest first
+   * "This thread" uses the thread the request was made in (the channel
+   * otherwise); author filters fetch a wider window before filtering.
+   */
+  const fetchSummaryHistory = async (request, channelNest, threadId) => {
+    if (request.thread && threadId) {
+      const thread = await fetchThreadContext(api, channelNest, threadId, runtime);
+      if (thread) {
+        return filterHistory([thread.starter, ...thread.replies].reverse(), request);
+      }
+      runtime.log?.(`[tlon] Could not fetch thread ${threadId}, summarizing the channel instead`);
+    }
+
+    const count = request.author ? MAX_SUMMARY_COUNT : request.count;
+    const history = await getChannelHistory(api, store, channelNest, count, runtime, { since: request.since });
+    return filterHistory(history, request);
+  };
+
+  /**
+   * Deletes a session and its transcript from core's session store
+   */
+  const deleteAgentSession = async (route, sessionKey) => {
+    try {
+      const storePath = deps.resolveStorePath(opts.cfg.session?.store, { agentId: route.agentId });
+      // Core stores explicit session keys lowercased
+      const key = sessionKey.toLowerCase();
+      const entry = await deps.updateSessionStore(storePath, (sessions) => {
+        const existing = sessions[key];
+        delete sessions[key];
+        return existing;
+      });
+      if (entry?.sessionId) {
+        await fs.rm(
+          deps.resolveSessionFilePath(entry.sessionId, entry, { agentId: route.agentId }),
+          { force: true }
+        );
+      }
+    } catch (error) {
+      runtime.error?.(`[tlon] Failed to delete session ${sessionKey}: ${error.message}`);
+    }
+  };
+
+  /**
+   * Runs a prompt through the agent and returns the reply text instead of
+   * posting it
+   * Used for the part summaries of large summarization windows. Each call
+   * runs in its own session, deleted afterwards, so parts never share
+   * context and no session is left behind.
+   */
+  const captureAgentReply = async ({ prompt, groupChannel, sessionSuffix }) => {
+    const route = deps.resolveAgentRoute({
+      cfg: opts.cfg,
+      channel: "tlon",
+      accountId: opts.accountId,
+      peer: { kind: "group", id: groupChannel },
+    });
+    const sessionKey = `${route.sessionKey}:${sessionSuffix}`;
+
+    const ctxPayload = deps.finalizeInboundContext({
+      Body: prompt,
+      RawBody: prompt,
+      CommandBody: prompt,
+      From: `tlon:group:${groupChannel}`,
+      To: `tlon:${botShipName}`,
+      SessionKey: sessionKey,
+      AccountId: route.accountId,
+      ChatType: "group",
+      ConversationLabel: groupChannel,
+      SenderName: botShipName,
+      SenderId: botShipName,
+      Provider: "tlon",
+      Surface: "tlon",
+      OriginatingChannel: "tlon",
+      OriginatingTo: `tlon:${groupChannel}`,
+    });
+
+    const blocks = [];
+    let failure = null;
+    try {
+      await deps.dispatchReplyWithBufferedBlockDispatcher({
+        ctx: ctxPayload,
+        cfg: opts.cfg,
+        dispatcherOptions: {
+          deliver: async (payload) => {
+            if (payload.text) blocks.push(payload.text);
+          },
+          onError: (err) => {
+            failure = err;
+          },
+        },
+      });
+    } finally {
+      await deleteAgentSession(route, sessionKey);
+    }
+
+    if (failure) {
+      throw failure instanceof Error ? failure : new Error(String(failure));
+    }
+    return blocks.join("\n\n");
+  };
+
   /**
    * Process a message and generate AI response
    */
@@ -737,65 +1555,103 @@ export async function monitorTlonProvider(opts = {}) {
       parentId,   // Parent post ID to reply to (for threading)
       postType,
       seal,
+      clubId,     // Group DM id (groupChannel is the club id too)
+      threadParentId, // Post a channel thread reply belongs to (for reactions)
+      story,      // Raw story content, for resolving cites
+      mediaRefs = [],
     } = params;
 
     runtime.log?.(`[tlon] processMessage called for ${senderShip}, isGroup: ${isGroup}, message: "${messageText.substring(0, 50)}"`);
 
+    // Where replies go: the DM, the channel, or the thread/comments
+    const replyTarget = resolveReplyTarget({
+      isGroup,
+      groupChannel,
+      senderShip,
+      parentId,
+      clubId,
+    });
+
     // Check if this is a summarization request
-    if (isGroup && isSummarizationRequest(messageText)) {
-      runtime.log?.(`[tlon] Detected summarization request in ${groupChannel}`);
+    const summaryRequest = isGroup && !clubId ? parseSummaryRequest(messageText) : null;
+    if (summaryRequest) {
+      runtime.log?.(`[tlon] Detected summarization request in ${groupChannel}: ${summaryRequest.label}`);
       try {
-        const history = await getChannelHistory(api, groupChannel, 50, runtime);
+        const history = await fetchSummaryHistory(summaryRequest, groupChannel, parentId);
         if (history.length === 0) {
-          const noHistoryMsg = "I couldn't fetch any messages for this channel. It might be empty or there might be a permissions issue.";
-          if (isGroup) {
-            const parsed = parseChannelNest(groupChannel);
-            if (parsed) {
-              await sendGroupMessage(
-                api,
-                botShipName,
-                parsed.hostShip,
-                parsed.channelName,
-                noHistoryMsg
-              );
-            }
-          } else {
-            await sendDm(api, botShipName, senderShip, noHistoryMsg);
+          const noHistoryMsg = summaryRequest.since || summaryRequest.author
+            ? `I couldn't find any messages (${summaryRequest.label}) to summarize.`
+            : "I couldn't fetch any messages for this channel. It might be empty or there might be a permissions issue.";
+          if (replyTarget) {
+            await sendToTarget(api, botShipName, replyTarget, noHistoryMsg);
           }
           return;
         }
 
-        // Format history for AI
-        const historyText = history
-          .map(msg => `[${new Date(msg.timestamp).toLocaleString()}] ${msg.author}: ${msg.content}`)
-          .join("\n");
+        // Format history for AI, in parts if it's too long for one prompt
+        const parts = chunkHistoryLines(formatHistoryLines(history));
+        const { label } = summaryRequest;
 
-        const summaryPrompt = `Please summarize this channel conversation (${history.length} recent messages):\n\n${historyText}\n\nProvide a concise summary highlighting:\n1. Main topics discussed\n2. Key decisions or conclusions\n3. Action items if any\n4. Notable participants`;
+        if (parts.length === 1) {
+          messageText = buildSummaryPrompt({ label, count: history.length, transcript: parts[0] });
+        } else {
+          // Map: summarize each part on its own; reduce: the reply below
+          // combines the part summaries
+          runtime.log?.(`[tlon] Summarizing ${history.length} messages in ${parts.length} parts`);
+          const summaries = [];
+          for (const [index, transcript] of parts.entries()) {
+            summaries.push(await captureAgentReply({
+              prompt: buildPartSummaryPrompt({ label, part: index + 1, total: parts.length, transcript }),
+              groupChannel,
+              sessionSuffix: `summary:${messageId}:${index + 1}`,
+            }));
+          }
+          messageText = buildCombinedSummaryPrompt({ label, count: history.length, summaries });
+        }
 
         // Override message text with summary prompt
-        messageText = summaryPrompt;
         runtime.log?.(`[tlon] Generating summary for ${history.length} messages`);
       } catch (error) {
         runtime.error?.(`[tlon] Error generating summary: ${error.message}`);
         const errorMsg = `Sorry, I encountered an error while fetching the channel history: ${error.message}`;
-        if (isGroup) {
-          const parsed = parseChannelNest(groupChannel);
-          if (parsed) {
-            await sendGroupMessage(
-              api,
-              botShipName,
-              parsed.hostShip,
-              parsed.channelName,
-              errorMsg
-            );
-          }
-        } else {
-          await sendDm(api, botShipName, senderShip, errorMsg);
+        if (replyTarget) {
+          await sendToTarget(api, botShipName, replyTarget, errorMsg);
         }
         return;
       }
     }
 
+    // The triggering message, for the bot's status reactions
+    const reactionRef = replyTarget
+      ? { target: { ...replyTarget, replyTo: null }, messageId, parentId: threadParentId }
+      : null;
+    const react = async (emoji) => {
+      if (!reactionRef) return;
+      try {
+        await setReaction(api, botShipName, reactionRef, emoji);
+      } catch (error) {
+        runtime.error?.(`[tlon] Failed to update reaction on ${messageId}: ${error.message}`);
+      }
+    };
+
+    // Replace the "working on it" reaction once the reply is done
+    const finishReaction = async (failed) => {
+      const final = failed ? reactionOptions.error : reactionOptions.done;
+      if (final) {
+        await react(final);
+      } else if (reactionOptions.ack) {
+        await react(null);
+      }
+    };
+
+    if (reactionOptions.ack) {
+      await react(reactionOptions.ack);
+    }
+    let replyFailed = false;
+    let stream = null;
+    let streamSignature = "";
+    let media = [];
+
     try {
       // Resolve agent route
       const route = deps.resolveAgentRoute({
@@ -809,6 +1665,35 @@ export async function monitorTlonProvider(opts = {}) {
       });
 
       // Format message for AI
+      // Each thread (or notebook/gallery comment section) gets its own session
+      const sessionKey = isGroup && parentId
+        ? `${route.sessionKey}:thread:${parentId}`
+        : route.sessionKey;
+
+      // Give the agent the thread's parent post and earlier replies
+      const thread = isGroup && threadParentId
+        ? await getThreadContext(api, store, groupChannel, threadParentId, messageId, runtime)
+        : null;
+      if (thread) {
+        runtime.log?.(`[tlon] Including thread context: parent post and ${thread.replies.length} earlier replies`);
+      }
+      const threadPreface = thread
+        ? [
+          `[Thread started by ${thread.starter.author}]`,
+          thread.starter.content,
+          ...(thread.replies.length > 0
+            ? ["", "[Earlier replies in this thread]", formatThreadReplies(thread.replies)]
+            : []),
+          "",
+          "[Reply]",
+          "",
+        ].join("\n")
+        : "";
+
+      // Quote the posts, replies and groups the message cites
+      const quotes = story ? await resolveStoryCites(api, story, runtime) : "";
+      const quotePreface = quotes ? `${quotes}\n\n` : "";
+
       const fromLabel = isGroup
         ? `${senderShip} in ${groupName}`
         : senderShip;
@@ -816,9 +1701,17 @@ export async function monitorTlonProvider(opts = {}) {
         channel: "Tlon",
         from: fromLabel,
         timestamp,
-        body: messageText,
+        body: `${threadPreface}${quotePreface}${messageText}`,
       });
 
+      // Download attached images and storage-hosted files for the agent
+      media = mediaRefs.length > 0
+        ? await downloadInboundMedia(mediaRefs, { ...mediaOptions, storage }, runtime)
+        : [];
+      if (media.length > 0) {
+        runtime.log?.(`[tlon] Attached ${media.length} media file(s) from ${senderShip}`);
+      }
+
       // Create inbound context
       const ctxPayload = deps.finalizeInboundContext({
         Body: body,
@@ -826,7 +1719,7 @@ export async function monitorTlonProvider(opts = {}) {
         CommandBody: messageText,
         From: isGroup ? `tlon:group:${groupChannel}` : `tlon:${senderShip}`,
         To: `tlon:${botShipName}`,
-        SessionKey: route.sessionKey,
+        SessionKey: sessionKey,
         AccountId: route.accountId,
         ChatType: isGroup ? "group" : "direct",
         ConversationLabel: fromLabel,
@@ -835,10 +1728,43 @@ export async function monitorTlonProvider(opts = {}) {
         Provider: "tlon",
         Surface: "tlon",
         MessageSid: messageId,
+        ...(isGroup && parentId ? { MessageThreadId: parentId } : {}),
+        ...(thread ? { ThreadStarterBody: thread.starter.content } : {}),
         OriginatingChannel: "tlon",
         OriginatingTo: `tlon:${isGroup ? groupChannel : botShipName}`,
+        ...(media.length > 0 ? {
+          MediaPath: media[0].path,
+          MediaType: media[0].contentType,
+          MediaUrl: media[0].url,
+          MediaPaths: media.map((item) => item.path),
+          MediaTypes: media.map((item) => item.contentType),
+          MediaUrls: media.map((item) => item.url),
+        } : {}),
       });
 
+      // Stream the reply into a placeholder post where edits are supported;
+      // DMs and group DMs get regular multi-post delivery
+      if (streamingOptions.enabled && replyTarget && supportsEdits(replyTarget)) {
+        stream = createReplyStream({
+          api,
+          fromShip: botShipName,
+          target: replyTarget,
+          limit: textChunkLimit,
+          chunkMarkdownText: deps.chunkMarkdownText,
+          minIntervalMs: streamingOptions.minIntervalMs,
+          placeholder: streamingOptions.placeholder,
+          resolvePostId: (result) => waitForEcho(result.sent, STREAM_ECHO_TIMEOUT_MS),
+          runtime,
+        });
+        try {
+          const placeholderPost = await stream.start();
+          trackBotReply(placeholderPost.sent, params);
+        } catch (error) {
+          runtime.error?.(`[tlon] Failed to post streaming placeholder: ${error.message}`);
+          stream = null;
+        }
+      }
+
       // Dispatch to AI and get response
       const dispatchStartTime = Date.now();
       runtime.log?.(
@@ -852,8 +1778,11 @@ export async function monitorTlonProvider(opts = {}) {
           deliver: async (payload) => {
             const dispatchDuration = Date.now() - dispatchStartTime;
             let replyText = payload.text;
+            const mediaUrls = payload.mediaUrls?.length
+              ? payload.mediaUrls
+              : payload.mediaUrl ? [payload.mediaUrl] : [];
 
-            if (!replyText) {
+            if (!replyText && mediaUrls.length === 0) {
               runtime.log?.(`[tlon] No reply text in AI response (took ${dispatchDuration}ms)`);
               return;
             }
@@ -865,7 +1794,8 @@ export async function monitorTlonProvider(opts = {}) {
             runtime.log?.(`[tlon] Full payload keys: ${Object.keys(payload).join(', ')}`);
             runtime.log?.(`[tlon] Full route keys: ${Object.keys(route).join(', ')}`);
             runtime.log?.(`[tlon] opts.cfg.agents: ${JSON.stringify(opts.cfg?.agents?.defaults?.model)}`);
-            if (showSignature) {
+            let signature = "";
+            if (showSignature && replyText) {
               const modelInfo = payload.metadata?.model || payload.model || route.model || opts.cfg?.agents?.defaults?.model?.primary;
               runtime.log?.(`[tlon] Model info: ${JSON.stringify({
                 payloadMetadataModel: payload.metadata?.model,
@@ -877,13 +1807,20 @@ export async function monitorTlonProvider(opts = {}) {
               if (modelInfo) {
                 const modelName = formatModelName(modelInfo);
                 runtime.log?.(`[tlon] Adding signature: ${modelName}`);
-                replyText = `${replyText}\n\n_[Generated by ${modelName}]_`;
+                signature = `\n\n_[Generated by ${modelName}]_`;
               } else {
                 runtime.log?.(`[tlon] No model info found, using fallback`);
-                replyText = `${replyText}\n\n_[Generated by AI]_`;
+                signature = `\n\n_[Generated by AI]_`;
               }
             }
 
+            // A streamed reply is signed once, in its final edit
+            if (stream) {
+              if (signature) streamSignature = signature;
+            } else {
+              replyText = replyText && `${replyText}${signature}`;
+            }
+
             runtime.log?.(
               `[tlon] AI response received (took ${dispatchDuration}ms), sending to Tlon...`
             );
@@ -891,34 +1828,73 @@ export async function monitorTlonProvider(opts = {}) {
             // Debug delivery path
             runtime.log?.(`[tlon] 🔍 Delivery debug: isGroup=${isGroup}, groupChannel=${groupChannel}, senderShip=${senderShip}, parentId=${parentId}`);
 
-            // Send reply back to Tlon
-            if (isGroup) {
-              const parsed = parseChannelNest(groupChannel);
-              runtime.log?.(`[tlon] 🔍 Parsed channel nest: ${JSON.stringify(parsed)}`);
-              if (parsed) {
-                // Reply in thread if this message is part of a thread
-                if (parentId) {
-                  runtime.log?.(`[tlon] Replying in thread (parent: ${parentId})`);
-                }
-                await sendGroupMessage(
+            if (!replyTarget) {
+              runtime.log?.(`[tlon] ⚠️ Failed to parse channel nest: ${groupChannel}`);
+              return;
+            }
+            // Reply in thread if this message is part of a thread
+            if (parentId) {
+              runtime.log?.(`[tlon] Replying in thread (parent: ${parentId})`);
+            }
+
+            // Send reply back to Tlon: media first (captioned with the
+            // reply text), then any text as ordered chunks
+            const sent = [];
+            let textSent = false;
+            for (const mediaUrl of mediaUrls) {
+              try {
+                const media = await prepareOutboundMedia({
+                  mediaUrl,
+                  storage: uploadStorage,
+                  ship: botShipName,
+                  maxBytes: mediaOptions.maxBytes,
+                  localRoots: mediaOptions.localRoots,
+                });
+                sent.push(...await deliverMedia({
                   api,
-                  botShipName,
-                  parsed.hostShip,
-                  parsed.channelName,
-                  replyText,
-                  parentId // Pass parentId to reply in the thread
-                );
-                const threadInfo = parentId ? ` (in thread)` : '';
-                runtime.log?.(`[tlon] Delivered AI reply to group ${groupName}${threadInfo}`);
-              } else {
-                runtime.log?.(`[tlon] ⚠️ Failed to parse channel nest: ${groupChannel}`);
+                  fromShip: botShipName,
+                  target: replyTarget,
+                  media,
+                  caption: textSent || stream ? null : replyText,
+                  limit: textChunkLimit,
+                  chunkMarkdownText: deps.chunkMarkdownText,
+                }));
+                textSent = true;
+              } catch (error) {
+                runtime.error?.(`[tlon] Failed to send media ${mediaUrl}: ${error.message}`);
               }
+            }
+
+            if (stream) {
+              // Text goes into the streaming post
+              stream.append(replyText);
+            } else if (replyText && !textSent) {
+              sent.push(...await deliverChunkedText({
+                api,
+                fromShip: botShipName,
+                target: replyTarget,
+                text: replyText,
+                limit: textChunkLimit,
+                chunkMarkdownText: deps.chunkMarkdownText,
+              }));
+            }
+
+            // Remember the sent posts so reactions on them can trigger actions
+            for (const result of sent) {
+              trackBotReply(result.sent, params);
+            }
+
+            if (stream) {
+              runtime.log?.(`[tlon] Streamed reply block to ${isGroup ? groupName : senderShip}`);
+            } else if (isGroup) {
+              const threadInfo = parentId ? ` (in thread)` : '';
+              runtime.log?.(`[tlon] Delivered AI reply to group ${groupName}${threadInfo} in ${sent.length} message(s)`);
             } else {
-              await sendDm(api, botShipName, senderShip, replyText);
-              runtime.log?.(`[tlon] Delivered AI reply to ${senderShip}`);
+              runtime.log?.(`[tlon] Delivered AI reply to ${senderShip} in ${sent.length} message(s)`);
             }
           },
           onError: (err, info) => {
+            replyFailed = true;
             const dispatchDuration = Date.now() - dispatchStartTime;
             runtime.error?.(
               `[tlon] ${info.kind} reply failed after ${dispatchDuration}ms: ${String(err)}`
@@ -932,38 +1908,176 @@ export async function monitorTlonProvider(opts = {}) {
         },
       });
 
+      // Final edit of a streamed reply, plus any overflow posts
+      if (stream) {
+        const overflow = await stream.finish(streamSignature);
+        for (const result of overflow) {
+          trackBotReply(result.sent, params);
+        }
+      }
+
       const totalDuration = Date.now() - dispatchStartTime;
       runtime.log?.(
         `[tlon] AI dispatch completed for ${senderShip} (total: ${totalDuration}ms)`
       );
     } catch (error) {
+      replyFailed = true;
       runtime.error?.(`[tlon] Error processing message: ${error.message}`);
       runtime.error?.(`[tlon] Stack trace: ${error.stack}`);
+
+      // Don't leave a streaming placeholder behind
+      if (stream) {
+        await stream.finish().catch((finishError) => {
+          runtime.error?.(`[tlon] Failed to finish streamed reply: ${finishError.message}`);
+        });
+      }
     }
+
+    // The agent is done with the downloads
+    await removeInboundMedia(media);
+
+    await finishReaction(replyFailed);
   };
 
-  // Track currently subscribed channels for dynamic updates
-  const subscribedChannels = new Set(); // Start empty, add after successful subscription
-  const subscribedDMs = new Set();
+  // Track currently subscribed conversations for dynamic updates, with
+  // their subscription ids (added after a successful subscription)
+  const subscribedChannels = new Map();
+  const subscribedDMs = new Map();
+  const subscribedClubs = new Map();
+
+  // Resubscriptions waiting for their backoff, recent attempts, and
+  // conversations given up on; all keyed by channel nest, `dm/~ship` or
+  // `club/<id>`
+  const resubscribeTimers = new Map();
+  const resubscribeAttempts = new Map();
+  const lostSubscriptions = new Map();
+
+  /**
+   * Reports lost conversations in the account status
+   */
+  function reportLostSubscriptions() {
+    opts.setStatus?.({
+      lostSubscriptions: [...lostSubscriptions].map(([key, lost]) => ({ key, ...lost })),
+    });
+  }
+
+  /**
+   * Checks whether a conversation may be subscribed to now
+   * Not while a resubscription is pending, nor after retries were given up.
+   * A conversation that was gone and shows up again (e.g. the bot was
+   * re-invited) may be subscribed to.
+   */
+  function canSubscribe(key) {
+    if (resubscribeTimers.has(key)) return false;
+    return lostSubscriptions.get(key)?.reason !== "failed";
+  }
+
+  /**
+   * Forgets a lost conversation once it is subscribed again
+   */
+  function clearLostSubscription(key) {
+    if (!lostSubscriptions.delete(key)) return;
+    reportLostSubscriptions();
+  }
+
+  /**
+   * Records a conversation that can no longer be subscribed to
+   * `reason` is "gone" (deleted, or the bot was removed) or "failed"
+   * (resubscribing kept failing).
+   */
+  function markSubscriptionLost(key, label, reason) {
+    resubscribeAttempts.delete(key);
+    lostSubscriptions.set(key, { label, reason, at: Date.now() });
+    runtime.error?.(
+      `[tlon] Lost ${label}: ${reason === "gone" ? "it no longer exists or the bot was removed" : `resubscribing failed ${MAX_RESUBSCRIBE_ATTEMPTS} times`}`
+    );
+    reportLostSubscriptions();
+  }
+
+  /**
+   * Resubscribes after the ship ended a subscription (quit or rejected watch)
+   * Retries back off per conversation. Before each retry the conversation
+   * is looked up, so one that disappeared is reported instead of retried.
+   * Watches that aren't conversations (invites) pass `conversation: false`
+   * and an `exists` that is always true.
+   */
+  function handleSubscriptionQuit({ key, label, exists, resubscribe, conversation = true }) {
+    if (opts.abortSignal?.aborted || resubscribeTimers.has(key)) return;
+
+    // A subscription that held for a while starts a fresh series of retries
+    const previous = resubscribeAttempts.get(key);
+    const attempts = previous && Date.now() - previous.at < RESUBSCRIBE_STABLE_MS
+      ? previous.attempts + 1
+      : 1;
+    if (attempts > MAX_RESUBSCRIBE_ATTEMPTS) {
+      markSubscriptionLost(key, label, "failed");
+      return;
+    }
+
+    const delay = Math.min(
+      RESUBSCRIBE_BASE_DELAY_MS * 2 ** (attempts - 1),
+      RESUBSCRIBE_MAX_DELAY_MS
+    );
+    runtime.log?.(`[tlon] Resubscribing to ${label} in ${delay}ms (attempt ${attempts}/${MAX_RESUBSCRIBE_ATTEMPTS})`);
+
+    const timer = setTimeout(async () => {
+      resubscribeTimers.delete(key);
+      if (opts.abortSignal?.aborted) return;
+
+      try {
+        if (!(await exists())) {
+          markSubscriptionLost(key, label, "gone");
+          return;
+        }
+      } catch (error) {
+        // Can't tell whether it still exists; try anyway
+        runtime.error?.(`[tlon] Could not look up ${label}: ${error.message}`);
+      }
+
+      resubscribeAttempts.set(key, { attempts, at: Date.now() });
+      if (!(await resubscribe())) {
+        handleSubscriptionQuit({ key, label, exists, resubscribe, conversation });
+        return;
+      }
+      // Messages sent while unsubscribed were never seen
+      if (conversation) store.markGap(key, Date.now());
+    }, delay);
+    resubscribeTimers.set(key, timer);
+  }
+
+  /**
+   * Ends the subscription to a conversation that is no longer available
+   */
+  async function unsubscribeFrom(subscriptions, key, label) {
+    const subId = subscriptions.get(key);
+    if (subId === undefined) return;
+    subscriptions.delete(key);
+    try {
+      await api.unsubscribe(subId);
+      runtime.log?.(`[tlon] Unsubscribed from ${label}`);
+    } catch (error) {
+      runtime.error?.(`[tlon] Failed to unsubscribe from ${label}: ${error.message}`);
+    }
+  }
 
   /**
    * Subscribe to a group channel
    */
   async function subscribeToChannel(channelNest) {
-    if (subscribedChannels.has(channelNest)) {
-      return; // Already subscribed
+    if (subscribedChannels.has(channelNest) || !canSubscribe(channelNest)) {
+      return; // Already subscribed, or waiting to resubscribe
     }
 
     const parsed = parseChannelNest(channelNest);
     if (!parsed) {
       runtime.error?.(
-        `[tlon] Invalid channel format: ${channelNest} (expected: chat/~host-ship/channel-name)`
+        `[tlon] Invalid channel format: ${channelNest} (expected: {chat|diary|heap}/~host-ship/channel-name)`
       );
       return;
     }
 
     try {
-      await api.subscribe({
+      const subId = await api.subscribe({
         app: "channels",
         path: `/${channelNest}`,
         event: handleIncomingGroupMessage(channelNest),
@@ -974,55 +2088,513 @@ export async function monitorTlonProvider(opts = {}) {
         },
         quit: () => {
           runtime.log?.(`[tlon] Group subscription ended for ${channelNest}`);
+          if (subscribedChannels.get(channelNest) !== subId) return;
           subscribedChannels.delete(channelNest);
+          handleSubscriptionQuit({
+            key: channelNest,
+            label: `group channel ${channelNest}`,
+            exists: async () => Boolean((await api.scry("/channels/v4/channels.json"))?.[channelNest]),
+            resubscribe: async () => {
+              await subscribeToChannel(channelNest);
+              return subscribedChannels.has(channelNest);
+            },
+          });
         },
       });
-      subscribedChannels.add(channelNest);
+      subscribedChannels.set(channelNest, subId);
+      clearLostSubscription(channelNest);
       runtime.log?.(`[tlon] Subscribed to group channel: ${channelNest}`);
+      backfillChannel(channelNest);
     } catch (error) {
       runtime.error?.(`[tlon] Failed to subscribe to ${channelNest}: ${error.message}`);
     }
   }
 
+  // Backfills run one at a time, in the background
+  let backfillQueue = Promise.resolve();
+  const backfilledChannels = new Set();
+
+  /**
+   * Seeds the message store with a channel's recent posts
+   * Only channels with nothing stored yet (first run, or newly joined) are
+   * fetched.
+   */
+  function backfillChannel(channelNest) {
+    if (backfilledChannels.has(channelNest) || store.size(channelNest) > 0) return;
+    backfilledChannels.add(channelNest);
+
+    backfillQueue = backfillQueue.then(async () => {
+      const history = await fetchChannelHistory(api, channelNest, STORE_BACKFILL_COUNT, runtime);
+      for (const message of history) {
+        store.add(channelNest, { ...message, parentId: null });
+      }
+      // The newest posts are all stored now; a short history is all of it
+      store.markComplete(
+        channelNest,
+        history.length < STORE_BACKFILL_COUNT ? 0 : history[history.length - 1].timestamp
+      );
+      runtime.log?.(`[tlon] Backfilled ${history.length} message(s) for ${channelNest}`);
+    }).catch((error) => {
+      runtime.error?.(`[tlon] Backfill failed for ${channelNest}: ${error.message}`);
+    });
+  }
+
   /**
    * Subscribe to a DM conversation
    */
   async function subscribeToDM(dmShip) {
-    if (subscribedDMs.has(dmShip)) {
-      return; // Already subscribed
+    if (subscribedDMs.has(dmShip) || !canSubscribe(`dm/${dmShip}`)) {
+      return; // Already subscribed, or waiting to resubscribe
     }
 
     try {
-      await api.subscribe({
+      const subId = await api.subscribe({
         app: "chat",
         path: `/dm/${dmShip}`,
-        event: handleIncomingDM,
+        event: handleIncomingDM(dmShip),
         err: (error) => {
           runtime.error?.(`[tlon] DM subscription error for ${dmShip}: ${error}`);
         },
         quit: () => {
           runtime.log?.(`[tlon] DM subscription ended for ${dmShip}`);
+          if (subscribedDMs.get(dmShip) !== subId) return;
           subscribedDMs.delete(dmShip);
+          handleSubscriptionQuit({
+            key: `dm/${dmShip}`,
+            label: `DM with ${dmShip}`,
+            exists: async () => (await api.scry("/chat/dm.json")).includes(dmShip),
+            resubscribe: async () => {
+              await subscribeToDM(dmShip);
+              return subscribedDMs.has(dmShip);
+            },
+          });
         },
       });
-      subscribedDMs.add(dmShip);
+      subscribedDMs.set(dmShip, subId);
+      clearLostSubscription(`dm/${dmShip}`);
       runtime.log?.(`[tlon] Subscribed to DM with ${dmShip}`);
     } catch (error) {
       runtime.error?.(`[tlon] Failed to subscribe to DM with ${dmShip}: ${error.message}`);
     }
   }
 
+  /**
+   * Subscribe to a group DM (club)
+   */
+  async function subscribeToClub(clubId) {
+    if (subscribedClubs.has(clubId) || !canSubscribe(`club/${clubId}`)) {
+      return; // Already subscribed, or waiting to resubscribe
+    }
+
+    try {
+      const subId = await api.subscribe({
+        app: "chat",
+        path: `/club/${clubId}`,
+        event: handleIncomingClubMessage(clubId),
+        err: (error) => {
+          runtime.error?.(`[tlon] Club subscription error for ${clubId}: ${error}`);
+        },
+        quit: () => {
+          runtime.log?.(`[tlon] Club subscription ended for ${clubId}`);
+          if (subscribedClubs.get(clubId) !== subId) return;
+          subscribedClubs.delete(clubId);
+          handleSubscriptionQuit({
+            key: `club/${clubId}`,
+            label: `group DM ${clubTitles.get(clubId) || clubId}`,
+            exists: async () => (await fetchClubs()).includes(clubId),
+            resubscribe: async () => {
+              await subscribeToClub(clubId);
+              return subscribedClubs.has(clubId);
+            },
+          });
+        },
+      });
+      subscribedClubs.set(clubId, subId);
+      clearLostSubscription(`club/${clubId}`);
+      runtime.log?.(`[tlon] Subscribed to group DM ${clubTitles.get(clubId) || clubId}`);
+    } catch (error) {
+      runtime.error?.(`[tlon] Failed to subscribe to group DM ${clubId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetches the group DMs (clubs) the bot belongs to
+   * Returns club ids and records their titles
+   */
+  async function fetchClubs() {
+    const clubs = await api.scry("/chat/clubs.json");
+    for (const [clubId, club] of Object.entries(clubs || {})) {
+      if (club?.meta?.title) {
+        clubTitles.set(clubId, club.meta.title);
+      }
+    }
+    return Object.keys(clubs || {});
+  }
+
+  // Catch-up runs one at a time, in the background
+  let catchUpQueue = Promise.resolve();
+
+  /**
+   * Lists the store keys of every subscribed conversation
+   */
+  function subscribedConversationKeys() {
+    return [
+      ...[...subscribedDMs.keys()].map((ship) => `dm/${ship}`),
+      ...[...subscribedClubs.keys()].map((clubId) => `club/${clubId}`),
+      ...subscribedChannels.keys(),
+    ];
+  }
+
+  /**
+   * Queues a catch-up on messages missed while the bot wasn't listening
+   */
+  function scheduleCatchUp(reason) {
+    if (!catchUpOptions.enabled) {
+      // Nothing fills the gap, so stored history starts over from now
+      const now = Date.now();
+      for (const key of subscribedConversationKeys()) {
+        store.markGap(key, now);
+      }
+      return;
+    }
+    catchUpQueue = catchUpQueue.then(() => catchUp(reason)).catch((error) => {
+      runtime.error?.(`[tlon] Catch-up after ${reason} failed: ${error.message}`);
+    });
+  }
+
+  /**
+   * Runs missed messages through the normal handlers
+   * Each subscribed conversation is caught up from its watermark, but never
+   * from further back than the maximum catch-up age. Conversations without
+   * a watermark (first run, newly joined) start from now.
+   */
+  async function catchUp(reason) {
+    const startedAt = Date.now();
+    const oldestAllowed = startedAt - catchUpOptions.maxAgeMs;
+    const conversations = [
+      ...[...subscribedDMs.keys()].map((ship) => ({
+        key: `dm/${ship}`,
+        fetchMissed: (since) => fetchMissedDmUpdates(api, ship, since),
+        handle: handleIncomingDM(ship),
+      })),
+      ...[...subscribedClubs.keys()].map((clubId) => ({
+        key: `club/${clubId}`,
+        fetchMissed: (since) => fetchMissedClubUpdates(api, clubId, since),
+        handle: handleIncomingClubMessage(clubId),
+      })),
+      ...[...subscribedChannels.keys()].map((channelNest) => ({
+        key: channelNest,
+        fetchMissed: (since) => fetchMissedChannelUpdates(api, channelNest, since),
+        handle: handleIncomingGroupMessage(channelNest),
+      })),
+    ];
+
+    let caughtUp = 0;
+    for (const { key, fetchMissed, handle } of conversations) {
+      const watermark = watermarks.get(key);
+      if (watermark === null) {
+        watermarks.advance(key, startedAt);
+        // Unless a backfill covered it, nothing before now is stored
+        if (store.completeSince(key) === null) store.markGap(key, startedAt);
+        continue;
+      }
+
+      // Messages between the watermark and the catch-up limit stay missing
+      if (watermark < oldestAllowed) store.markGap(key, oldestAllowed);
+
+      try {
+        const updates = await fetchMissed(Math.max(watermark, oldestAllowed));
+        if (updates.length > 0) {
+          runtime.log?.(`[tlon] Catching up on ${updates.length} missed message(s) in ${key}`);
+        }
+        // Handlers skip anything the live stream already delivered
+        for (const update of updates) {
+          await handle(update);
+        }
+        caughtUp += updates.length;
+      } catch (error) {
+        runtime.error?.(`[tlon] Catch-up failed for ${key}: ${error.message}`);
+        store.markGap(key, startedAt);
+      }
+    }
+
+    runtime.log?.(`[tlon] Catch-up after ${reason} complete (${caughtUp} missed message(s))`);
+  }
+
+  // DM invites currently being answered, so repeated updates don't double-poke
+  const pendingDmInvites = new Set();
+
+  /**
+   * Answers pending DM invites according to the invite policy
+   * Accepted DMs are subscribed right away instead of waiting for the
+   * next refresh.
+   */
+  async function handleDmInvites(invitedShips) {
+    if (!Array.isArray(invitedShips)) return;
+
+    for (const invitedShip of invitedShips) {
+      const ship = invitedShip.startsWith("~") ? invitedShip : `~${invitedShip}`;
+      if (pendingDmInvites.has(ship) || subscribedDMs.has(ship)) continue;
+
+      const decision = resolveDmInviteDecision(ship, account);
+      if (!decision) {
+        runtime.log?.(`[tlon] DM invite from ${ship} left pending (dmInvitePolicy: manual)`);
+        continue;
+      }
+
+      pendingDmInvites.add(ship);
+      try {
+        await respondToDmInvite(api, ship, decision === "accept");
+        if (decision === "accept") {
+          runtime.log?.(`[tlon] Accepted DM invite from ${ship}`);
+          await subscribeToDM(ship);
+        } else {
+          runtime.log?.(`[tlon] ⛔ Declined DM invite from ${ship} (not in dmAllowlist)`);
+        }
+      } catch (error) {
+        runtime.error?.(`[tlon] Failed to answer DM invite from ${ship}: ${error.message}`);
+      } finally {
+        pendingDmInvites.delete(ship);
+      }
+    }
+  }
+
+  // Group invites that have been answered, keyed by group flag
+  // Structure: Map<flag, { inviter, title, joining }>
+  const handledGroupInvites = new Map();
+
+  /**
+   * Tells a trusted inviter what happened to their group invite, if enabled
+   * Untrusted inviters are never messaged, since each DM opens a
+   * conversation with an arbitrary ship.
+   */
+  async function notifyGroupInviter(inviter, text) {
+    if (!account.groupInvites?.notifyInviter || !inviter) return;
+    try {
+      await deliverChunkedText({
+        api,
+        fromShip: botShipName,
+        target: { ship: inviter },
+        text,
+        limit: resolveTextChunkLimit(account),
+      });
+    } catch (error) {
+      runtime.error?.(`[tlon] Failed to notify ${inviter} about group invite: ${error.message}`);
+    }
+  }
+
+  /**
+   * Checks whether the bot is now a member of a group
+   * The groups agent only has the group once it has been joined.
+   */
+  async function isGroupMember(flag) {
+    try {
+      const group = await api.scry(`/groups/groups/${flag}.json`);
+      return Boolean(group && (!group.fleet || group.fleet[botShipName]));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Answers group invites and follows up on joins in progress
+   * `gangs` is the groups agent's map of pending invites and joins, keyed
+   * by group flag (`~host/name`). A join has ended once its gang is gone
+   * (or its claim failed); membership tells whether it succeeded.
+   */
+  async function handleGroupInvites(gangs) {
+    if (!gangs || typeof gangs !== "object") return;
+
+    // Joins that ended since the last update; invites that are gone
+    // (joined, revoked or dismissed) are forgotten
+    let joinedAny = false;
+    for (const [flag, invite] of [...handledGroupInvites]) {
+      const gang = gangs[flag];
+      if (gang) {
+        // A failed claim stays in gangs; keep the entry so it isn't retried
+        if (invite.joining && gang.claim?.progress === "error") {
+          invite.joining = false;
+          runtime.error?.(`[tlon] Failed to join group ${invite.title}`);
+          await notifyGroupInviter(invite.inviter, `I couldn't join ${invite.title}.`);
+        }
+        continue;
+      }
+
+      handledGroupInvites.delete(flag);
+      if (!invite.joining) continue;
+      if (await isGroupMember(flag)) {
+        joinedAny = true;
+        runtime.log?.(`[tlon] Joined group ${invite.title}`);
+        await notifyGroupInviter(invite.inviter, `Joined ${invite.title}.`);
+      } else {
+        runtime.error?.(`[tlon] Join of group ${invite.title} ended without membership (invite revoked or join failed)`);
+        await notifyGroupInviter(invite.inviter, `I couldn't join ${invite.title}.`);
+      }
+    }
+    if (joinedAny) {
+      // Pick up the new group's channels without waiting for the next poll
+      await refreshChannelSubscriptions();
+    }
+
+    for (const [flag, gang] of Object.entries(gangs)) {
+      if (!gang?.invite || handledGroupInvites.has(flag)) continue;
+
+      const inviter = gang.invite.ship?.startsWith("~")
+        ? gang.invite.ship
+        : `~${gang.invite.ship}`;
+      const title = gang.preview?.meta?.title || flag;
+
+      if (!isTrustedGroupInvite({ flag, inviter }, account)) {
+        rememberBounded(
+          handledGroupInvites,
+          flag,
+          { inviter, title, joining: false },
+          MAX_TRACKED_GROUP_INVITES
+        );
+        runtime.log?.(`[tlon] Ignoring group invite to ${title} from ${inviter} (not trusted)`);
+        continue;
+      }
+
+      rememberBounded(
+        handledGroupInvites,
+        flag,
+        { inviter, title, joining: true },
+        MAX_TRACKED_GROUP_INVITES
+      );
+      try {
+        await joinGroup(api, flag);
+        runtime.log?.(`[tlon] Joining group ${title} (invited by ${inviter})`);
+      } catch (error) {
+        handledGroupInvites.get(flag).joining = false;
+        runtime.error?.(`[tlon] Failed to join group ${title}: ${error.message}`);
+        await notifyGroupInviter(inviter, `I couldn't join ${title}: ${error.message}`);
+      }
+    }
+  }
+
+  // Invite watch subscription ids, null while not subscribed
+  let dmInvitesSubId = null;
+  let groupInvitesSubId = null;
+
+  /**
+   * Watches DM invites; each update is the full list of pending invites
+   * A quit resubscribes with backoff, like a conversation's.
+   */
+  async function subscribeToDmInvites() {
+    if (dmInvitesSubId !== null || !canSubscribe("invites/dm")) return;
+
+    try {
+      const subId = await api.subscribe({
+        app: "chat",
+        path: "/dm/invited",
+        event: (invitedShips) => {
+          handleDmInvites(invitedShips).catch((error) => {
+            runtime.error?.(`[tlon] DM invite handling failed: ${error.message}`);
+          });
+        },
+        err: (error) => {
+          runtime.error?.(`[tlon] DM invite subscription error: ${error}`);
+        },
+        quit: () => {
+          runtime.log?.(`[tlon] DM invite subscription ended`);
+          if (dmInvitesSubId !== subId) return;
+          dmInvitesSubId = null;
+          handleSubscriptionQuit({
+            key: "invites/dm",
+            label: "DM invites",
+            conversation: false,
+            exists: async () => true,
+            resubscribe: async () => {
+              await subscribeToDmInvites();
+              return dmInvitesSubId !== null;
+            },
+          });
+        },
+      });
+      dmInvitesSubId = subId;
+      clearLostSubscription("invites/dm");
+    } catch (error) {
+      runtime.error?.(`[tlon] Failed to subscribe to DM invites: ${error.message}`);
+    }
+  }
+
+  /**
+   * Watches group invites; each update is the full map of gangs
+   * A quit resubscribes with backoff, like a conversation's.
+   */
+  async function subscribeToGroupInvites() {
+    if (groupInvitesSubId !== null || !canSubscribe("invites/groups")) return;
+
+    try {
+      const subId = await api.subscribe({
+        app: "groups",
+        path: "/gangs/updates",
+        event: (gangs) => {
+          handleGroupInvites(gangs).catch((error) => {
+            runtime.error?.(`[tlon] Group invite handling failed: ${error.message}`);
+          });
+        },
+        err: (error) => {
+          runtime.error?.(`[tlon] Group invite subscription error: ${error}`);
+        },
+        quit: () => {
+          runtime.log?.(`[tlon] Group invite subscription ended`);
+          if (groupInvitesSubId !== subId) return;
+          groupInvitesSubId = null;
+          handleSubscriptionQuit({
+            key: "invites/groups",
+            label: "group invites",
+            conversation: false,
+            exists: async () => true,
+            resubscribe: async () => {
+              await subscribeToGroupInvites();
+              return groupInvitesSubId !== null;
+            },
+          });
+        },
+      });
+      groupInvitesSubId = subId;
+      clearLostSubscription("invites/groups");
+    } catch (error) {
+      runtime.error?.(`[tlon] Failed to subscribe to group invites: ${error.message}`);
+    }
+  }
+
   /**
    * Discover and subscribe to new channels
    */
   async function refreshChannelSubscriptions() {
     try {
+      // Pick up storage configuration changes
+      storage = await fetchStorageConfig(api, runtime);
+      uploadStorage = resolveUploadStorage(account, storage);
+
+      // Watch invites again if subscribing failed before, then answer any
+      // DM invites the subscription may have missed
+      await subscribeToDmInvites();
+      await subscribeToGroupInvites();
+      await handleDmInvites(await api.scry("/chat/dm/invited.json"));
+      if (groupInvitesSubId === null) {
+        await handleGroupInvites(await api.scry("/groups/gangs.json"));
+      }
+
       // Check for new DMs
       const dmShips = await api.scry("/chat/dm.json");
       for (const dmShip of dmShips) {
         await subscribeToDM(dmShip);
       }
 
+      // Check for new group DMs, and drop ones the bot has left
+      const clubIds = await fetchClubs();
+      for (const clubId of clubIds) {
+        await subscribeToClub(clubId);
+      }
+      for (const clubId of [...subscribedClubs.keys()]) {
+        if (!clubIds.includes(clubId)) {
+          await unsubscribeFrom(subscribedClubs, clubId, `group DM ${clubTitles.get(clubId) || clubId}`);
+        }
+      }
+
       // Check for new group channels (if auto-discovery is enabled)
       if (account.autoDiscoverChannels !== false) {
         const discoveredChannels = await fetchAllChannels(api, runtime);
@@ -1039,6 +2611,16 @@ export async function monitorTlonProvider(opts = {}) {
         for (const channelNest of discoveredChannels) {
           await subscribeToChannel(channelNest);
         }
+
+        // Drop channels that are gone (left group, deleted channel). An
+        // empty result is more likely a failed discovery, so it's ignored.
+        if (discoveredChannels.length > 0) {
+          for (const channelNest of [...subscribedChannels.keys()]) {
+            if (!discoveredChannels.includes(channelNest) && !account.groupChannels?.includes(channelNest)) {
+              await unsubscribeFrom(subscribedChannels, channelNest, `group channel ${channelNest}`);
+            }
+          }
+        }
       }
     } catch (error) {
       runtime.error?.(`[tlon] Channel refresh failed: ${error.message}`);
@@ -1046,6 +2628,7 @@ export async function monitorTlonProvider(opts = {}) {
   }
 
   // Subscribe to incoming messages
+  let pollInterval = null;
   try {
     runtime.log?.(`[tlon] Subscribing to updates...`);
 
@@ -1063,6 +2646,22 @@ export async function monitorTlonProvider(opts = {}) {
       await subscribeToDM(dmShip);
     }
 
+    // Watch for DM and group invites
+    await subscribeToDmInvites();
+    await subscribeToGroupInvites();
+
+    // Subscribe to each group DM (club)
+    let clubIds = [];
+    try {
+      clubIds = await fetchClubs();
+      runtime.log?.(`[tlon] Found ${clubIds.length} group DM(s)`);
+    } catch (error) {
+      runtime.error?.(`[tlon] Failed to fetch group DM list: ${error.message}`);
+    }
+    for (const clubId of clubIds) {
+      await subscribeToClub(clubId);
+    }
+
     // Subscribe to each group channel
     for (const channelNest of groupChannels) {
       await subscribeToChannel(channelNest);
@@ -1074,10 +2673,34 @@ export async function monitorTlonProvider(opts = {}) {
     await api.connect();
 
     runtime.log?.(`[tlon] Connected! All subscriptions active`);
+    opts.setStatus?.({
+      reconnect: { connected: true, attempts: 0, lastError: null, nextRetryAt: null },
+    });
+
+    // Answer invites that arrived while the bot was offline
+    try {
+      const invitedShips = await api.scry("/chat/dm/invited.json");
+      if (invitedShips?.length > 0) {
+        runtime.log?.(`[tlon] Found ${invitedShips.length} pending DM invite(s)`);
+      }
+      await handleDmInvites(invitedShips);
+    } catch (error) {
+      runtime.error?.(`[tlon] Failed to fetch DM invites: ${error.message}`);
+    }
+
+    // Answer group invites that arrived while the bot was offline
+    try {
+      await handleGroupInvites(await api.scry("/groups/gangs.json"));
+    } catch (error) {
+      runtime.error?.(`[tlon] Failed to fetch group invites: ${error.message}`);
+    }
+
+    // Process messages that arrived while the bot was offline
+    scheduleCatchUp("startup");
 
     // Start dynamic channel discovery (poll every 2 minutes)
     const POLL_INTERVAL_MS = 2 * 60 * 1000; // 2 minutes
-    const pollInterval = setInterval(() => {
+    pollInterval = setInterval(() => {
       if (!opts.abortSignal?.aborted) {
         runtime.log?.(`[tlon] Checking for new channels...`);
         refreshChannelSubscriptions().catch((error) => {
@@ -1088,19 +2711,20 @@ export async function monitorTlonProvider(opts = {}) {
 
     runtime.log?.(`[tlon] Dynamic channel discovery enabled (checking every 2 minutes)`);
 
-    // Keep the monitor running until aborted
+    // Keep the monitor running until aborted, or until the connection is
+    // given up on
     if (opts.abortSignal) {
-      await new Promise((resolve) => {
-        opts.abortSignal.addEventListener("abort", () => {
-          clearInterval(pollInterval);
-          resolve();
-        }, {
-          once: true,
-        });
-      });
+      await Promise.race([
+        new Promise((resolve) => {
+          opts.abortSignal.addEventListener("abort", resolve, {
+            once: true,
+          });
+        }),
+        monitorFailure,
+      ]);
     } else {
-      // If no abort signal, wait indefinitely
-      await new Promise(() => {});
+      // If no abort signal, wait until the connection fails for good
+      await monitorFailure;
     }
   } catch (error) {
     if (opts.abortSignal?.aborted) {
@@ -1110,10 +2734,17 @@ export async function monitorTlonProvider(opts = {}) {
     throw error;
   } finally {
     // Cleanup
+    clearInterval(pollInterval);
     try {
       await api.close();
     } catch (e) {
       runtime.error?.(`[tlon] Cleanup error: ${e.message}`);
     }
+    await store.flush();
+    for (const timer of resubscribeTimers.values()) {
+      clearTimeout(timer);
+    }
+    await watermarks.flush();
+    await processedMessages.flush();
   }
 }
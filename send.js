@@ -0,0 +1,514 @@
+/**
+ * Outbound message delivery for Tlon
+ * Shared by the monitor's reply path and the plugin's outbound adapter.
+ */
+
+import { unixToDa, formatUd } from "@urbit/aura";
+import { markdownToStory } from "./story.js";
+import { buildMediaStory } from "./media.js";
+
+/**
+ * Default maximum characters per posted message
+ * Long enough for a full answer, short enough to read comfortably in Tlon.
+ */
+export const DEFAULT_TEXT_CHUNK_LIMIT = 4000;
+
+let lastSentAt = 0;
+
+/**
+ * Returns a strictly increasing send timestamp
+ * Chunks sent within the same millisecond still get distinct, ordered
+ * `sent` values (and therefore distinct DM ids).
+ */
+function nextSentAt() {
+  const now = Date.now();
+  lastSentAt = now > lastSentAt ? now : lastSentAt + 1;
+  return lastSentAt;
+}
+
+/**
+ * Converts markdown to a story unless a prebuilt story is given
+ */
+function toStory(content) {
+  return Array.isArray(content) ? content : markdownToStory(content);
+}
+
+/**
+ * Sends a direct message via Urbit
+ * @param {string|Array} text - Markdown text or a prebuilt story
+ */
+export async function sendDm(api, fromShip, toShip, text) {
+  const story = toStory(text);
+  const sentAt = nextSentAt();
+  const idUd = formatUd(unixToDa(sentAt).toString());
+  const id = `${fromShip}/${idUd}`;
+
+  const delta = {
+    add: {
+      memo: {
+        content: story,
+        author: fromShip,
+        sent: sentAt,
+      },
+      kind: null,
+      time: null,
+    },
+  };
+
+  const action = {
+    ship: toShip,
+    diff: { id, delta },
+  };
+
+  await api.poke({
+    app: "chat",
+    mark: "chat-dm-action",
+    json: action,
+  });
+
+  return { channel: "tlon", success: true, messageId: id, sent: sentAt };
+}
+
+/**
+ * Sends a message to a group channel
+ * @param {string|Array} text - Markdown text or a prebuilt story
+ * @param {string} replyTo - Optional parent post ID for threading
+ * @param {string} kind - Channel kind: chat, diary (notebook) or heap (gallery)
+ */
+export async function sendGroupMessage(api, fromShip, hostShip, channelName, text, replyTo = null, kind = "chat") {
+  const story = toStory(text);
+  const sentAt = nextSentAt();
+
+  const action = {
+    channel: {
+      nest: `${kind}/${hostShip}/${channelName}`,
+      action: replyTo ? {
+        // Reply action for threading
+        reply: {
+          id: replyTo,
+          delta: {
+            add: {
+              memo: {
+                content: story,
+                author: fromShip,
+                sent: sentAt,
+              }
+            }
+          }
+        }
+      } : {
+        // Regular post action
+        post: {
+          add: {
+            content: story,
+            author: fromShip,
+            sent: sentAt,
+            kind: `/${kind}`,
+            blob: null,
+            // Notebook and gallery posts require metadata
+            meta: kind === "chat"
+              ? null
+              : { title: "", image: "", description: "", cover: "" },
+          },
+        },
+      },
+    },
+  };
+
+  await api.poke({
+    app: "channels",
+    mark: "channel-action-1",
+    json: action,
+  });
+
+  return { channel: "tlon", success: true, messageId: `${fromShip}/${sentAt}`, sent: sentAt };
+}
+
+/**
+ * Generates a random @uv, used to tag club diffs
+ */
+function randomUv() {
+  // JS base-32 digits match Urbit's @uv alphabet; five digits need no dots
+  const value = 1 + Math.floor(Math.random() * (32 ** 5 - 1));
+  return `0v${value.toString(32)}`;
+}
+
+/**
+ * Sends a message to a group DM (club)
+ * @param {string|Array} text - Markdown text or a prebuilt story
+ */
+export async function sendClubMessage(api, fromShip, clubId, text) {
+  const story = toStory(text);
+  const sentAt = nextSentAt();
+  const idUd = formatUd(unixToDa(sentAt).toString());
+  const id = `${fromShip}/${idUd}`;
+
+  const action = {
+    id: clubId,
+    diff: {
+      uid: randomUv(),
+      delta: {
+        writ: {
+          id,
+          delta: {
+            add: {
+              memo: {
+                content: story,
+                author: fromShip,
+                sent: sentAt,
+              },
+              kind: null,
+              time: null,
+            },
+          },
+        },
+      },
+    },
+  };
+
+  await api.poke({
+    app: "chat",
+    mark: "chat-club-action",
+    json: action,
+  });
+
+  return { channel: "tlon", success: true, messageId: id, sent: sentAt };
+}
+
+/**
+ * Parses an outbound target string
+ * Accepts a ship (`~sampel-palnet`), a channel nest (`chat/~host/name`) or a
+ * club id (`0v...`), optionally prefixed with `tlon:` or `tlon:group:`.
+ */
+export function parseTarget(to) {
+  const value = String(to || "").trim().replace(/^tlon:(group:)?/, "");
+  const nest = /^(chat|diary|heap)\/(~?[a-z-]+)\/(.+)$/.exec(value);
+  if (nest) {
+    const hostShip = nest[2].startsWith("~") ? nest[2] : `~${nest[2]}`;
+    return { kind: nest[1], hostShip, channelName: nest[3] };
+  }
+  if (value.startsWith("0v")) {
+    return { club: value };
+  }
+  return { ship: value.startsWith("~") ? value : `~${value}` };
+}
+
+/**
+ * Adds, replaces or removes the bot's reaction on a message
+ * A ship has at most one reaction per message, so adding replaces any
+ * earlier one; pass a null `react` to remove it.
+ * @param {Object} message - `{ target, messageId, parentId }`; `parentId` is
+ *   the parent post when reacting to a thread reply in a channel
+ */
+export async function setReaction(api, fromShip, message, react) {
+  const { target, messageId, parentId } = message;
+
+  if (target.ship || target.club) {
+    // DM and club writs share the same delta shape
+    const delta = react
+      ? { "add-react": { ship: fromShip, react } }
+      : { "del-react": fromShip };
+
+    if (target.ship) {
+      await api.poke({
+        app: "chat",
+        mark: "chat-dm-action",
+        json: { ship: target.ship, diff: { id: messageId, delta } },
+      });
+    } else {
+      await api.poke({
+        app: "chat",
+        mark: "chat-club-action",
+        json: {
+          id: target.club,
+          diff: { uid: randomUv(), delta: { writ: { id: messageId, delta } } },
+        },
+      });
+    }
+    return;
+  }
+
+  const reactAction = react
+    ? { "add-react": { id: messageId, ship: fromShip, react } }
+    : { "del-react": { id: messageId, ship: fromShip } };
+
+  await api.poke({
+    app: "channels",
+    mark: "channel-action-1",
+    json: {
+      channel: {
+        nest: `${target.kind || "chat"}/${target.hostShip}/${target.channelName}`,
+        action: {
+          post: parentId
+            ? { reply: { id: parentId, action: reactAction } }
+            : reactAction,
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Checks whether messages posted to a target can be edited
+ * Channel posts and thread replies can; DM and group DM writs can't.
+ */
+export function supportsEdits(target) {
+  return Boolean(target && !target.ship && !target.club);
+}
+
+/**
+ * Replaces the content of one of the bot's own channel posts or replies
+ * @param {Object} target - Reply target the post was made to; for thread
+ *   replies `replyTo` is the parent post
+ * @param {number} sent - The post's original send timestamp
+ */
+export async function editPost(api, fromShip, target, postId, text, sent) {
+  if (!supportsEdits(target)) {
+    throw new Error("Tlon DMs do not support editing messages");
+  }
+
+  const story = toStory(text);
+  const kind = target.kind || "chat";
+
+  const action = target.replyTo ? {
+    reply: {
+      id: target.replyTo,
+      action: {
+        edit: {
+          id: postId,
+          memo: { content: story, author: fromShip, sent },
+        },
+      },
+    },
+  } : {
+    edit: {
+      id: postId,
+      essay: {
+        content: story,
+        author: fromShip,
+        sent,
+        kind: `/${kind}`,
+        blob: null,
+        meta: kind === "chat"
+          ? null
+          : { title: "", image: "", description: "", cover: "" },
+      },
+    },
+  };
+
+  await api.poke({
+    app: "channels",
+    mark: "channel-action-1",
+    json: {
+      channel: {
+        nest: `${kind}/${target.hostShip}/${target.channelName}`,
+        action: { post: action },
+      },
+    },
+  });
+}
+
+/**
+ * Deletes one of the bot's own messages
+ * @param {Object} target - Reply target the message was posted to; for
+ *   channel thread replies `replyTo` is the parent post
+ */
+export async function deletePost(api, fromShip, target, postId) {
+  if (target.ship) {
+    await api.poke({
+      app: "chat",
+      mark: "chat-dm-action",
+      json: { ship: target.ship, diff: { id: postId, delta: { del: null } } },
+    });
+    return;
+  }
+
+  if (target.club) {
+    await api.poke({
+      app: "chat",
+      mark: "chat-club-action",
+      json: {
+        id: target.club,
+        diff: { uid: randomUv(), delta: { writ: { id: postId, delta: { del: null } } } },
+      },
+    });
+    return;
+  }
+
+  await api.poke({
+    app: "channels",
+    mark: "channel-action-1",
+    json: {
+      channel: {
+        nest: `${target.kind || "chat"}/${target.hostShip}/${target.channelName}`,
+        action: {
+          post: target.replyTo
+            ? { reply: { id: target.replyTo, action: { del: postId } } }
+            : { del: postId },
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Resolves the per-message character limit for an account
+ */
+export function resolveTextChunkLimit(account) {
+  const limit = Number(account?.textChunkLimit);
+  return Number.isFinite(limit) && limit > 0 ? limit : DEFAULT_TEXT_CHUNK_LIMIT;
+}
+
+/**
+ * Splits plain text at the last paragraph break, line break or space that
+ * fits, cutting mid-word only when nothing else does
+ */
+function splitPlainText(text, limit) {
+  const chunks = [];
+  let rest = text;
+  while (rest.length > limit) {
+    const head = rest.slice(0, limit + 1);
+    let cut = head.lastIndexOf("\n\n");
+    if (cut <= 0) cut = head.lastIndexOf("\n");
+    if (cut <= 0) cut = head.lastIndexOf(" ");
+    if (cut <= 0) cut = limit;
+    chunks.push(rest.slice(0, cut));
+    rest = rest.slice(cut).replace(/^\s+/, "");
+  }
+  chunks.push(rest);
+  return chunks;
+}
+
+/**
+ * Splits reply text into postable chunks
+ * Uses core's markdown-aware chunker so code fences are never split open;
+ * until core is loaded (or if it can't be) the text is split on whitespace.
+ */
+export function chunkReplyText(text, limit, chunkMarkdownText) {
+  if (!text) return [];
+  if (text.length <= limit) return [text];
+  const chunks = chunkMarkdownText
+    ? chunkMarkdownText(text, limit)
+    : splitPlainText(text, limit);
+  return chunks.filter((chunk) => chunk.trim());
+}
+
+/**
+ * Pending deliveries, keyed by conversation
+ * Structure: Map<targetKey, Promise>
+ */
+const deliveryQueues = new Map();
+
+/**
+ * Runs a delivery after every earlier delivery to the same conversation
+ */
+function enqueueDelivery(key, task) {
+  const previous = deliveryQueues.get(key) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+  deliveryQueues.set(key, next);
+  next.catch(() => {}).finally(() => {
+    if (deliveryQueues.get(key) === next) {
+      deliveryQueues.delete(key);
+    }
+  });
+  return next;
+}
+
+/**
+ * Builds the queue key for a reply target
+ * A target is `{ ship }` for DMs, `{ club }` for group DMs, or
+ * `{ kind, hostShip, channelName, replyTo }` for channels
+ */
+function targetKey(fromShip, target) {
+  if (target.ship) return `${fromShip}:dm:${target.ship}`;
+  if (target.club) return `${fromShip}:club:${target.club}`;
+  const thread = target.replyTo ? `:${target.replyTo}` : "";
+  return `${fromShip}:${target.kind || "chat"}/${target.hostShip}/${target.channelName}${thread}`;
+}
+
+/**
+ * Runs a delivery to one target after every earlier delivery to it
+ * For posts sent outside deliverChunkedText and deliverMedia, like the
+ * placeholder and overflow posts of a streamed reply.
+ */
+export function enqueueTargetDelivery(fromShip, target, task) {
+  return enqueueDelivery(targetKey(fromShip, target), task);
+}
+
+/**
+ * Sends a single message (markdown or story) to a DM, club, channel or thread target
+ */
+export async function sendToTarget(api, fromShip, target, text) {
+  if (target.ship) {
+    return await sendDm(api, fromShip, target.ship, text);
+  }
+  if (target.club) {
+    return await sendClubMessage(api, fromShip, target.club, text);
+  }
+  return await sendGroupMessage(
+    api,
+    fromShip,
+    target.hostShip,
+    target.channelName,
+    text,
+    target.replyTo || null,
+    target.kind || "chat"
+  );
+}
+
+/**
+ * Chunks reply text and posts every chunk, in order, to one target
+ * Each chunk waits for the previous poke to complete, and deliveries to the
+ * same conversation are queued, so chunks can never interleave or reorder.
+ * Returns the send result for each posted chunk.
+ */
+export async function deliverChunkedText({
+  api,
+  fromShip,
+  target,
+  text,
+  limit = DEFAULT_TEXT_CHUNK_LIMIT,
+  chunkMarkdownText,
+}) {
+  const chunks = chunkReplyText(text, limit, chunkMarkdownText);
+
+  return await enqueueDelivery(targetKey(fromShip, target), async () => {
+    const results = [];
+    for (const chunk of chunks) {
+      results.push(await sendToTarget(api, fromShip, target, chunk));
+    }
+    return results;
+  });
+}
+
+/**
+ * Posts an uploaded file to one target, with an optional caption
+ * A caption that fits in one message is posted together with the image;
+ * longer captions follow as ordered text chunks.
+ */
+export async function deliverMedia({
+  api,
+  fromShip,
+  target,
+  media,
+  caption,
+  limit = DEFAULT_TEXT_CHUNK_LIMIT,
+  chunkMarkdownText,
+}) {
+  const mediaStory = buildMediaStory(media);
+  const inlineCaption = caption && caption.length <= limit;
+  const captionChunks = inlineCaption
+    ? []
+    : chunkReplyText(caption, limit, chunkMarkdownText);
+
+  return await enqueueDelivery(targetKey(fromShip, target), async () => {
+    const story = inlineCaption
+      ? [...mediaStory, ...markdownToStory(caption)]
+      : mediaStory;
+    const results = [await sendToTarget(api, fromShip, target, story)];
+    for (const chunk of captionChunks) {
+      results.push(await sendToTarget(api, fromShip, target, chunk));
+    }
+    return results;
+  });
+}
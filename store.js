@@ -0,0 +1,259 @@
+/**
+ * Persistent message store for Tlon
+ * Keeps recent channel, DM and thread messages per account, in memory and
+ * as one append-only JSONL file per conversation, with retention limits.
+ * Each conversation also records the time since which it is known to have
+ * no gaps, so history is only served from the store when it is complete.
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+export const DEFAULT_STORE_MAX_MESSAGES = 1000;
+export const DEFAULT_STORE_MAX_AGE_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolves the directory for an account's Tlon state
+ * Uses CLAWDBOT_STATE_DIR when set, otherwise ~/.clawdbot.
+ */
+export function resolveStateDir(accountId) {
+  const base = process.env.CLAWDBOT_STATE_DIR?.trim() || path.join(os.homedir(), ".clawdbot");
+  return path.join(base, "tlon", accountId || "default");
+}
+
+/**
+ * Resolves message store settings for an account
+ * `messageStore: false` keeps messages in memory only.
+ */
+export function resolveStoreOptions(account) {
+  const config = account?.messageStore;
+  const maxMessages = Number(config?.maxMessages);
+  const maxAgeDays = Number(config?.maxAgeDays);
+  return {
+    persist: config !== false,
+    dir: config?.path || path.join(resolveStateDir(account?.accountId), "messages"),
+    maxMessages: Number.isFinite(maxMessages) && maxMessages > 0
+      ? maxMessages
+      : DEFAULT_STORE_MAX_MESSAGES,
+    maxAgeMs: (Number.isFinite(maxAgeDays) && maxAgeDays > 0
+      ? maxAgeDays
+      : DEFAULT_STORE_MAX_AGE_DAYS) * DAY_MS,
+  };
+}
+
+/**
+ * Creates a message store
+ * Messages are `{ id, author, content, timestamp, parentId }`, keyed by
+ * conversation: a channel nest, `dm/~ship` or `club/<id>`. Each file holds
+ * `{ op: "add", msg }` and `{ op: "del", id }` lines; adding a known id
+ * replaces the message (edits). Files are compacted once they hold twice
+ * the retained messages.
+ */
+export function createMessageStore({ persist, dir, maxMessages, maxAgeMs, runtime }) {
+  // Structure: Map<conversationKey, message[]> (oldest first)
+  const conversations = new Map();
+  // Time since which each conversation has no gaps
+  // Structure: Map<conversationKey, timestamp>
+  const coverage = new Map();
+  // Lines written per file since the last compaction
+  const lineCounts = new Map();
+  // Pending writes per file, so appends and compactions never interleave
+  const writeQueues = new Map();
+
+  const fileFor = (key) => path.join(dir, `${encodeURIComponent(key)}.jsonl`);
+
+  const enqueueWrite = (key, task) => {
+    const previous = writeQueues.get(key) || Promise.resolve();
+    const next = previous.then(task).catch((error) => {
+      runtime?.error?.(`[tlon] Message store write failed for ${key}: ${error.message}`);
+    });
+    writeQueues.set(key, next);
+    return next;
+  };
+
+  // Applies retention: drop messages past the age limit, keep the newest
+  // (anything older than the oldest kept message is then missing)
+  const prune = (key, messages) => {
+    const cutoff = Date.now() - maxAgeMs;
+    const recent = messages.filter((msg) => msg.timestamp >= cutoff);
+    const kept = recent.slice(-maxMessages);
+    if (kept.length < recent.length && coverage.has(key)) {
+      coverage.set(key, Math.max(coverage.get(key), kept[0].timestamp));
+    }
+    return kept;
+  };
+
+  const compact = (key) => enqueueWrite(key, async () => {
+    const messages = conversations.get(key) || [];
+    const entries = messages.map((msg) => ({ op: "add", msg }));
+    if (coverage.has(key)) {
+      entries.unshift({ op: "complete", since: coverage.get(key) });
+    }
+    const body = entries.map((entry) => JSON.stringify(entry)).join("\n");
+    const file = fileFor(key);
+    await fs.promises.writeFile(`${file}.tmp`, body ? `${body}\n` : "");
+    await fs.promises.rename(`${file}.tmp`, file);
+    lineCounts.set(key, messages.length);
+  });
+
+  const append = (key, entry) => {
+    if (!persist) return;
+    const lines = (lineCounts.get(key) || 0) + 1;
+    lineCounts.set(key, lines);
+    if (lines > maxMessages * 2) {
+      compact(key);
+      return;
+    }
+    enqueueWrite(key, () => fs.promises.appendFile(fileFor(key), `${JSON.stringify(entry)}\n`));
+  };
+
+  return {
+    /**
+     * Loads every stored conversation from disk
+     */
+    async load() {
+      if (!persist) return;
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      for (const file of await fs.promises.readdir(dir)) {
+        if (!file.endsWith(".jsonl")) continue;
+        const key = decodeURIComponent(file.slice(0, -".jsonl".length));
+        const byId = new Map();
+        let lines = 0;
+
+        const raw = await fs.promises.readFile(path.join(dir, file), "utf8");
+        for (const line of raw.split("\n")) {
+          if (!line.trim()) continue;
+          lines++;
+          try {
+            const entry = JSON.parse(line);
+            if (entry.op === "add" && entry.msg?.id) byId.set(entry.msg.id, entry.msg);
+            else if (entry.op === "del") byId.delete(entry.id);
+            else if (entry.op === "complete" && Number.isFinite(entry.since)) {
+              coverage.set(key, entry.since);
+            }
+          } catch {
+            // Skip a torn line from an interrupted write
+          }
+        }
+
+        const messages = prune(key, [...byId.values()].sort((a, b) => a.timestamp - b.timestamp));
+        conversations.set(key, messages);
+        lineCounts.set(key, lines);
+        if (lines > messages.length * 2) {
+          compact(key);
+        }
+      }
+
+      const total = [...conversations.values()].reduce((sum, list) => sum + list.length, 0);
+      runtime?.log?.(`[tlon] Loaded ${total} stored message(s) in ${conversations.size} conversation(s)`);
+    },
+
+    /**
+     * Adds a message, replacing a stored message with the same id
+     */
+    add(key, message) {
+      if (!message?.id) return;
+      const messages = conversations.get(key) || [];
+      const existing = messages.findIndex((msg) => msg.id === message.id);
+      if (existing !== -1) {
+        messages[existing] = message;
+      } else {
+        // Keep time order; live messages almost always go at the end
+        let index = messages.length;
+        while (index > 0 && messages[index - 1].timestamp > message.timestamp) index--;
+        messages.splice(index, 0, message);
+      }
+      conversations.set(key, prune(key, messages));
+      append(key, { op: "add", msg: message });
+    },
+
+    /**
+     * Removes a deleted message
+     */
+    remove(key, messageId) {
+      const messages = conversations.get(key);
+      if (!messages) return;
+      const index = messages.findIndex((msg) => msg.id === messageId);
+      if (index === -1) return;
+      messages.splice(index, 1);
+      append(key, { op: "del", id: messageId });
+    },
+
+    /**
+     * Returns up to `count` messages, newest first
+     * With `since`, only messages at or after that time; with `topLevel`,
+     * only posts (no thread replies).
+     */
+    list(key, { count = Infinity, since = null, topLevel = false } = {}) {
+      const messages = conversations.get(key) || [];
+      const result = [];
+      for (let index = messages.length - 1; index >= 0 && result.length < count; index--) {
+        if (since && messages[index].timestamp < since) break;
+        if (topLevel && messages[index].parentId) continue;
+        result.push(messages[index]);
+      }
+      return result;
+    },
+
+    /**
+     * Finds one stored message by id
+     */
+    get(key, messageId) {
+      return (conversations.get(key) || []).find((msg) => msg.id === messageId) || null;
+    },
+
+    /**
+     * Returns a thread's stored replies, oldest first
+     */
+    replies(key, parentId) {
+      return (conversations.get(key) || []).filter((msg) => msg.parentId === parentId);
+    },
+
+    /**
+     * Number of stored messages in a conversation
+     */
+    size(key) {
+      return conversations.get(key)?.length || 0;
+    },
+
+    /**
+     * Time since which the store holds every message of a conversation, or
+     * null if that is unknown
+     */
+    completeSince(key) {
+      if (!coverage.has(key)) return null;
+      return Math.max(coverage.get(key), Date.now() - maxAgeMs);
+    },
+
+    /**
+     * Records that every message since `since` is stored, e.g. after a
+     * backfill of the conversation's newest messages
+     */
+    markComplete(key, since) {
+      coverage.set(key, since);
+      append(key, { op: "complete", since });
+    },
+
+    /**
+     * Records that messages before `until` may be missing, e.g. after
+     * downtime longer than catch-up covers
+     */
+    markGap(key, until) {
+      const since = Math.max(coverage.get(key) ?? until, until);
+      if (coverage.get(key) === since) return;
+      coverage.set(key, since);
+      append(key, { op: "complete", since });
+    },
+
+    /**
+     * Waits for pending writes, e.g. before shutdown
+     */
+    async flush() {
+      await Promise.all([...writeQueues.values()]);
+    },
+  };
+}
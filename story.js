@@ -0,0 +1,576 @@
+/**
+ * Conversion between markdown and Tlon story content
+ *
+ * A story is an array of verses. Each verse is either
+ * `{ inline: Inline[] }` or `{ block: Block }`:
+ * - Inlines: strings, `bold`, `italics`, `strike`, `inline-code`, `link`,
+ *   `ship`, `break` and `blockquote` (quotes are inline in Tlon)
+ * - Blocks: `code`, `header`, `listing`, `rule`, `image`, `cite`
+ */
+
+const SHIP_PATTERN = /^~[a-z]{3}(?:[a-z]{3})?(?:-[a-z]{6})*(?![a-z0-9-])/;
+
+// @p syllables: a name alternates prefix and suffix syllables, and a
+// one-syllable name (a galaxy) is a single suffix
+const SHIP_PREFIXES = new Set((
+  "dozmarbinwansamlitsighidfidlissogdirwacsabwissib" +
+  "rigsoldopmodfoglidhopdardorlorhodfolrintogsilmir" +
+  "holpaslacrovlivdalsatlibtabhanticpidtorbolfosdot" +
+  "losdilforpilramtirwintadbicdifrocwidbisdasmidlop" +
+  "rilnardapmolsanlocnovsitnidtipsicropwitnatpanmin" +
+  "ritpodmottamtolsavposnapnopsomfinfonbanmorworsip" +
+  "ronnorbotwicsocwatdolmagpicdavbidbaltimtasmallig" +
+  "sivtagpadsaldivdactansidfabtarmonranniswolmispal" +
+  "lasdismaprabtobrollatlonnodnavfignomnibpagsopral" +
+  "bilhaddocridmocpacravripfaltodtiltinhapmicfanpat" +
+  "taclabmogsimsonpinlomrictapfirhasbosbatpochactid" +
+  "havsaplindibhosdabbitbarracparloddosbortochilmac" +
+  "tomdigfilfasmithobharmighinradmashalraglagfadtop" +
+  "mophabnilnosmilfopfamdatnoldinhatnacrisfotribhoc" +
+  "nimlarfitwalrapsarnalmoslandondanladdovrivbacpol" +
+  "laptalpitnambonrostonfodponsovnocsorlavmatmipfip"
+).match(/.{3}/g));
+const SHIP_SUFFIXES = new Set((
+  "zodnecbudwessevpersutletfulpensytdurwepserwylsun" +
+  "rypsyxdyrnuphebpeglupdepdysputlughecryttyvsydnex" +
+  "lunmeplutseppesdelsulpedtemledtulmetwenbynhexfeb" +
+  "pyldulhetmevruttylwydtepbesdexsefwycburderneppur" +
+  "rysrebdennutsubpetrulsynregtydsupsemwynrecmegnet" +
+  "secmulnymtevwebsummutnyxrextebfushepbenmuswyxsym" +
+  "selrucdecwexsyrwetdylmynmesdetbetbeltuxtugmyrpel" +
+  "syptermebsetdutdegtexsurfeltudnuxruxrenwytnubmed" +
+  "lytdusnebrumtynseglyxpunresredfunrevrefmectedrus" +
+  "bexlebduxrynnumpyxrygryxfeptyrtustyclegnemfermer" +
+  "tenlusnussyltecmexpubrymtucfyllepdebbermughuttun" +
+  "bylsudpemdevlurdefbusbeprunmelpexdytbyttyplevmyl" +
+  "wedducfurfexnulluclennerlexrupnedlecrydlydfenwel" +
+  "nydhusrelrudneshesfetdesretdunlernyrsebhulryllud" +
+  "remlysfynwerrycsugnysnyllyndyndemluxfedsedbecmun" +
+  "lyrtesmudnytbyrsenwegfyrmurtelreptegpecnelnevfes"
+).match(/.{3}/g));
+
+/**
+ * Checks that a `~name` matched by SHIP_PATTERN is made of real @p syllables
+ */
+function isValidShip(name) {
+  const syllables = name.slice(1).replace(/-/g, "").match(/.{3}/g) || [];
+  if (syllables.length === 1) return SHIP_SUFFIXES.has(syllables[0]);
+  return syllables.every((syllable, index) =>
+    (index % 2 === 0 ? SHIP_PREFIXES : SHIP_SUFFIXES).has(syllable)
+  );
+}
+
+const URL_PATTERN = /^https?:\/\/[^\s<>]+/;
+const ESCAPABLE = "\\`*_~[]()#+-.!>|{}";
+
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})\s*([^\s`]*)/;
+const HEADER_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE_PATTERN = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^\s{0,3}>\s?(.*)$/;
+const LIST_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TASK_PATTERN = /^\[([ xX])\]\s+(.*)$/;
+
+/**
+ * Appends an inline to a list, merging adjacent strings
+ */
+function pushInline(inlines, item) {
+  if (typeof item === "string") {
+    if (!item) return;
+    const last = inlines.length - 1;
+    if (last >= 0 && typeof inlines[last] === "string") {
+      inlines[last] += item;
+      return;
+    }
+  }
+  inlines.push(item);
+}
+
+function isWordChar(char) {
+  return Boolean(char) && /[A-Za-z0-9]/.test(char);
+}
+
+/**
+ * Finds the closing emphasis delimiter starting at `from`
+ * Returns -1 when the delimiter is never closed
+ */
+function findClosingDelimiter(text, delim, from) {
+  let index = from;
+  while (index < text.length) {
+    const found = text.indexOf(delim, index);
+    if (found === -1) return -1;
+
+    const escaped = text[found - 1] === "\\";
+    const afterSpace = /\s/.test(text[found - 1] || "");
+    // A single `*` or `_` must not be half of a doubled delimiter
+    const doubled = delim.length === 1 &&
+      (text[found + 1] === delim || text[found - 1] === delim);
+    // Intraword underscores (snake_case) are not emphasis
+    const intraword = delim[0] === "_" && isWordChar(text[found + delim.length]);
+
+    if (found > from && !escaped && !afterSpace && !doubled && !intraword) {
+      return found;
+    }
+    index = found + delim.length;
+  }
+  return -1;
+}
+
+/**
+ * Flattens inlines back to plain text (used for link labels)
+ */
+function inlinesToPlainText(inlines) {
+  return inlines
+    .map((item) => {
+      if (typeof item === "string") return item;
+      if (item.ship) return item.ship;
+      if (item["inline-code"] !== undefined) return item["inline-code"];
+      if (item.link) return item.link.content || item.link.href;
+      const nested = item.bold || item.italics || item.strike || item.blockquote;
+      return Array.isArray(nested) ? inlinesToPlainText(nested) : "";
+    })
+    .join("");
+}
+
+/**
+ * Parses a single line of markdown into Tlon inlines
+ */
+function parseInline(text) {
+  const inlines = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    const rest = text.slice(i);
+
+    // Backslash escapes
+    if (char === "\\" && ESCAPABLE.includes(text[i + 1] || "")) {
+      pushInline(inlines, text[i + 1]);
+      i += 2;
+      continue;
+    }
+
+    // Inline code: `code` or ``code with ` inside``
+    if (char === "`") {
+      const ticks = rest.match(/^`+/)[0];
+      const close = text.indexOf(ticks, i + ticks.length);
+      if (close !== -1) {
+        let code = text.slice(i + ticks.length, close);
+        if (/^ .* $/.test(code)) code = code.slice(1, -1);
+        inlines.push({ "inline-code": code });
+        i = close + ticks.length;
+        continue;
+      }
+      pushInline(inlines, ticks);
+      i += ticks.length;
+      continue;
+    }
+
+    // Bold, strikethrough, italics
+    const emphasis = [
+      ["**", "bold"],
+      ["__", "bold"],
+      ["~~", "strike"],
+      ["*", "italics"],
+      ["_", "italics"],
+    ].find(([delim]) => rest.startsWith(delim));
+    if (emphasis) {
+      const [delim, kind] = emphasis;
+      const opensWord = !/\s/.test(text[i + delim.length] || " ");
+      const leftFlanking = delim[0] !== "_" || !isWordChar(text[i - 1]);
+      const close = opensWord && leftFlanking
+        ? findClosingDelimiter(text, delim, i + delim.length)
+        : -1;
+      if (close !== -1) {
+        inlines.push({ [kind]: parseInline(text.slice(i + delim.length, close)) });
+        i = close + delim.length;
+        continue;
+      }
+    }
+
+    // Links: [label](href)
+    if (char === "[") {
+      const match = rest.match(/^\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"[^"]*")?\s*\)/);
+      if (match) {
+        const content = inlinesToPlainText(parseInline(match[1])) || match[2];
+        inlines.push({ link: { href: match[2], content } });
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    // Autolinks: <https://...>
+    if (char === "<") {
+      const match = rest.match(/^<(https?:\/\/[^\s>]+)>/);
+      if (match) {
+        inlines.push({ link: { href: match[1], content: match[1] } });
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    // Bare URLs
+    if (char === "h" && !isWordChar(text[i - 1])) {
+      const match = rest.match(URL_PATTERN);
+      if (match) {
+        // Trailing punctuation belongs to the sentence, not the URL
+        const href = match[0].replace(/[.,;:!?)'"]+$/, "");
+        inlines.push({ link: { href, content: href } });
+        i += href.length;
+        continue;
+      }
+    }
+
+    // Ship mentions: ~sampel-palnet
+    if (char === "~" && !isWordChar(text[i - 1])) {
+      const match = rest.match(SHIP_PATTERN);
+      if (match && isValidShip(match[0])) {
+        inlines.push({ ship: match[0] });
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    pushInline(inlines, char);
+    i += 1;
+  }
+
+  return inlines;
+}
+
+/**
+ * Parses consecutive lines into inlines separated by line breaks
+ */
+function parseInlineLines(lines) {
+  const inlines = [];
+  lines.forEach((line, index) => {
+    if (index > 0) inlines.push({ break: null });
+    for (const item of parseInline(line)) {
+      pushInline(inlines, item);
+    }
+  });
+  return inlines;
+}
+
+/**
+ * Builds a (possibly nested) Tlon listing from parsed list entries
+ * Returns the listing and the index of the first unconsumed entry
+ */
+function buildListing(entries, start) {
+  const indent = entries[start].indent;
+  const ordered = entries[start].ordered;
+  const items = [];
+  let hasTasks = false;
+  let i = start;
+
+  while (i < entries.length && entries[i].indent >= indent) {
+    const entry = entries[i];
+    // Switching between ordered and unordered markers starts a new list
+    if (entry.indent === indent && entry.ordered !== ordered) break;
+    if (entry.indent > indent) {
+      const [nested, next] = buildListing(entries, i);
+      items.push(nested);
+      i = next;
+      continue;
+    }
+
+    const task = entry.text.match(TASK_PATTERN);
+    if (task) {
+      hasTasks = true;
+      items.push({
+        item: [{
+          task: {
+            checked: task[1].toLowerCase() === "x",
+            content: parseInline(task[2]),
+          },
+        }],
+      });
+    } else {
+      items.push({ item: parseInline(entry.text) });
+    }
+    i += 1;
+  }
+
+  const type = hasTasks ? "tasklist" : ordered ? "ordered" : "unordered";
+  return [{ list: { type, items, contents: [] } }, i];
+}
+
+/**
+ * Converts agent markdown into a Tlon story
+ * Bold, italics, strikethrough, inline code, links and ~ship mentions become
+ * native inlines; fenced code, headers, lists and rules become blocks.
+ */
+export function markdownToStory(markdown) {
+  if (!markdown) return [];
+
+  const lines = String(markdown).replace(/\r\n?/g, "\n").split("\n");
+  const story = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      story.push({ inline: parseInlineLines(paragraph) });
+      paragraph = [];
+    }
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      flushParagraph();
+      i += 1;
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      flushParagraph();
+      const marker = fence[1];
+      const code = [];
+      i += 1;
+      while (i < lines.length) {
+        const closing = lines[i].trim();
+        if (closing.startsWith(marker[0].repeat(marker.length)) && !closing.replace(/[`~]/g, "")) {
+          i += 1;
+          break;
+        }
+        code.push(lines[i]);
+        i += 1;
+      }
+      story.push({
+        block: { code: { code: code.join("\n"), lang: fence[2] || "plaintext" } },
+      });
+      continue;
+    }
+
+    const header = line.match(HEADER_PATTERN);
+    if (header) {
+      flushParagraph();
+      story.push({
+        block: {
+          header: { tag: `h${header[1].length}`, content: parseInline(header[2]) },
+        },
+      });
+      i += 1;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      flushParagraph();
+      story.push({ block: { rule: null } });
+      i += 1;
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      flushParagraph();
+      const quoted = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE_PATTERN)[1]);
+        i += 1;
+      }
+      story.push({ inline: [{ blockquote: parseInlineLines(quoted) }] });
+      continue;
+    }
+
+    if (LIST_PATTERN.test(line)) {
+      flushParagraph();
+      const entries = [];
+      while (i < lines.length && lines[i].trim()) {
+        const item = lines[i].match(LIST_PATTERN);
+        if (item) {
+          entries.push({
+            indent: item[1].replace(/\t/g, "    ").length,
+            ordered: /\d/.test(item[2]),
+            text: item[3],
+          });
+        } else if (/^\s+/.test(lines[i]) && entries.length > 0) {
+          // Indented continuation of the previous item
+          entries[entries.length - 1].text += ` ${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i += 1;
+      }
+      let next = 0;
+      while (next < entries.length) {
+        const [listing, after] = buildListing(entries, next);
+        story.push({ block: { listing } });
+        next = after;
+      }
+      continue;
+    }
+
+    paragraph.push(line);
+    i += 1;
+  }
+
+  flushParagraph();
+  return story;
+}
+
+/**
+ * Wraps code in a backtick run longer than any run inside it
+ */
+function fenceInlineCode(code) {
+  const longest = Math.max(0, ...(code.match(/`+/g) || []).map((run) => run.length));
+  const ticks = "`".repeat(longest + 1);
+  const pad = code.startsWith("`") || code.endsWith("`") ? " " : "";
+  return `${ticks}${pad}${code}${pad}${ticks}`;
+}
+
+/**
+ * Prefixes every line of a rendered snippet with a quote marker
+ */
+function quoteLines(text) {
+  return text
+    .split("\n")
+    .map((line) => (line ? `> ${line}` : ">"))
+    .join("\n");
+}
+
+/**
+ * Renders Tlon inlines as markdown
+ */
+function inlinesToMarkdown(inlines) {
+  if (!Array.isArray(inlines)) return "";
+
+  let out = "";
+  for (const item of inlines) {
+    if (typeof item === "string") {
+      out += item;
+      continue;
+    }
+    if (!item || typeof item !== "object") continue;
+
+    if (item.bold) out += `**${inlinesToMarkdown(item.bold)}**`;
+    else if (item.italics) out += `_${inlinesToMarkdown(item.italics)}_`;
+    else if (item.strike) out += `~~${inlinesToMarkdown(item.strike)}~~`;
+    else if (item["inline-code"] !== undefined) out += fenceInlineCode(String(item["inline-code"]));
+    else if (item.code !== undefined && typeof item.code !== "object") out += fenceInlineCode(String(item.code));
+    else if (item.ship) out += item.ship;
+    else if (item.sect !== undefined) out += item.sect ? `@${item.sect}` : "@all";
+    else if (item.break !== undefined) out += "\n";
+    else if (item.tag) out += `#${item.tag}`;
+    else if (item.link) {
+      const { href, content } = item.link;
+      out += content && content !== href ? `[${content}](${href})` : href || content || "";
+    } else if (item.task) {
+      out += `[${item.task.checked ? "x" : " "}] ${inlinesToMarkdown(item.task.content)}`;
+    } else if (item.blockquote) {
+      // Quotes are inline in Tlon but need their own lines in markdown
+      const quote = quoteLines(inlinesToMarkdown(item.blockquote));
+      out += `${out && !out.endsWith("\n") ? "\n" : ""}${quote}\n`;
+    }
+  }
+  return out;
+}
+
+/**
+ * Renders a Tlon listing as a (possibly nested) markdown list
+ */
+function listingToMarkdown(listing, depth = 0) {
+  if (!listing) return "";
+  if (listing.item) return inlinesToMarkdown(listing.item);
+
+  const list = listing.list;
+  if (!list) return "";
+
+  const indent = "  ".repeat(depth);
+  const lines = [];
+  const heading = inlinesToMarkdown(list.contents).trim();
+  if (heading) lines.push(`${indent}${heading}`);
+
+  let number = 1;
+  for (const entry of list.items || []) {
+    if (entry.list) {
+      lines.push(listingToMarkdown(entry, depth + 1));
+      continue;
+    }
+    const marker = list.type === "ordered" ? `${number++}.` : "-";
+    const text = listingToMarkdown(entry, depth).replace(/\n/g, `\n${indent}  `);
+    lines.push(`${indent}${marker} ${text}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Describes a cite (a reference to another post, group or app) in markdown
+ */
+export function describeCite(cite) {
+  if (!cite) return "";
+  if (cite.chan) {
+    const where = cite.chan.where ? ` (${cite.chan.where})` : "";
+    return `[Referenced post in ${cite.chan.nest}${where}]`;
+  }
+  if (cite.group) return `[Referenced group ${cite.group}]`;
+  if (cite.desk) {
+    const where = cite.desk.where ? ` (${cite.desk.where})` : "";
+    return `[Referenced app ${cite.desk.flag}${where}]`;
+  }
+  if (cite.bait) {
+    return `[Referenced ${cite.bait.graph} in group ${cite.bait.group}]`;
+  }
+  return "[Reference]";
+}
+
+/**
+ * Renders a Tlon block as markdown
+ */
+function blockToMarkdown(block) {
+  if (!block || typeof block !== "object") return "";
+
+  if (block.image) {
+    const { src, alt, width, height } = block.image;
+    const size = width && height ? ` (${width}x${height})` : "";
+    return `![${alt || "image"}${size}](${src})`;
+  }
+  if (block.cite) return quoteLines(describeCite(block.cite));
+  if (block.header) {
+    const level = Number(String(block.header.tag || "h1").replace(/\D/g, "")) || 1;
+    return `${"#".repeat(level)} ${inlinesToMarkdown(block.header.content)}`;
+  }
+  if (block.listing) return listingToMarkdown(block.listing);
+  if (block.rule !== undefined) return "---";
+  if (block.code) {
+    const code = block.code.code ?? "";
+    const lang = block.code.lang && block.code.lang !== "plaintext" ? block.code.lang : "";
+    const fence = code.includes("```") ? "~~~" : "```";
+    return `${fence}${lang}\n${code}\n${fence}`;
+  }
+  return "";
+}
+
+/**
+ * Converts a Tlon story into markdown the agent can reason over
+ * Formatting is preserved, code blocks are kept verbatim, images are
+ * described with their alt text and URL, and cites are shown as quotes.
+ */
+export function storyToMarkdown(story) {
+  if (!story || !Array.isArray(story)) return "";
+
+  let out = "";
+  let previous = null;
+  for (const verse of story) {
+    let kind;
+    let text;
+    if (verse?.inline) {
+      kind = "inline";
+      text = inlinesToMarkdown(verse.inline).replace(/\n+$/, "");
+    } else if (verse?.block) {
+      kind = "block";
+      text = blockToMarkdown(verse.block);
+    } else {
+      continue;
+    }
+    if (!text) continue;
+
+    // Paragraph-like inline verses stay on adjacent lines; blocks get
+    // blank lines around them so fences and lists parse cleanly
+    if (out) out += previous === "inline" && kind === "inline" ? "\n" : "\n\n";
+    out += text;
+    previous = kind;
+  }
+  return out.trim();
+}
@@ -0,0 +1,166 @@
+/**
+ * Streaming replies for Tlon
+ * Posts a placeholder, then edits that post in place as reply blocks arrive.
+ */
+
+import {
+  sendToTarget,
+  editPost,
+  deletePost,
+  chunkReplyText,
+  enqueueTargetDelivery,
+} from "./send.js";
+
+/**
+ * Default minimum time between two edits of a streaming post
+ * Every edit is a poke plus an update to every subscriber, so edits are
+ * throttled rather than sent per block.
+ */
+export const DEFAULT_STREAM_MIN_INTERVAL_MS = 1500;
+
+export const DEFAULT_STREAM_PLACEHOLDER = "_Thinking…_";
+
+/**
+ * Resolves streaming settings for an account
+ */
+export function resolveStreamingOptions(account) {
+  const streaming = account?.streaming || {};
+  const minIntervalMs = Number(streaming.minIntervalMs);
+  return {
+    enabled: streaming.enabled === true,
+    minIntervalMs: Number.isFinite(minIntervalMs) && minIntervalMs >= 0
+      ? minIntervalMs
+      : DEFAULT_STREAM_MIN_INTERVAL_MS,
+    placeholder: streaming.placeholder || DEFAULT_STREAM_PLACEHOLDER,
+  };
+}
+
+/**
+ * Creates a streaming reply to one target
+ * `resolvePostId(result)` maps the placeholder's send result to the post id
+ * used for edits, or null if it can't be learned yet; it is asked again at
+ * the end, so a late echo still lets the placeholder be finished or
+ * deleted. Once an edit is impossible the stream falls back to posting the
+ * reply as separate messages. Posts go through the target's delivery
+ * queue, so they never interleave with other deliveries to it.
+ */
+export function createReplyStream({
+  api,
+  fromShip,
+  target,
+  limit,
+  chunkMarkdownText,
+  minIntervalMs = DEFAULT_STREAM_MIN_INTERVAL_MS,
+  placeholder = DEFAULT_STREAM_PLACEHOLDER,
+  resolvePostId,
+  runtime,
+}) {
+  let placeholderResult = null;
+  let postId = null;
+  let sent = null;
+  let text = "";
+  let shown = placeholder;
+  let lastEditAt = 0;
+  let timer = null;
+  let editing = Promise.resolve();
+  let editFailed = false;
+
+  const editable = () => Boolean(postId) && !editFailed;
+
+  // A streaming post holds at most one chunk; the rest follows at the end
+  const firstChunk = (content) => chunkReplyText(content, limit, chunkMarkdownText)[0] || "";
+
+  const edit = (content) => {
+    editing = editing.then(async () => {
+      if (!editable() || content === shown) return;
+      try {
+        await editPost(api, fromShip, target, postId, content, sent);
+        shown = content;
+        lastEditAt = Date.now();
+      } catch (error) {
+        editFailed = true;
+        runtime?.error?.(`[tlon] Streaming edit failed, falling back to separate posts: ${error.message}`);
+      }
+    });
+    return editing;
+  };
+
+  return {
+    /**
+     * Posts the placeholder and learns its post id
+     */
+    async start() {
+      placeholderResult = await enqueueTargetDelivery(fromShip, target, () =>
+        sendToTarget(api, fromShip, target, placeholder)
+      );
+      sent = placeholderResult.sent;
+      postId = await resolvePostId(placeholderResult);
+      if (!postId) {
+        runtime?.log?.(`[tlon] Streaming placeholder id unknown, holding it until the reply is done`);
+      }
+      lastEditAt = Date.now();
+      return placeholderResult;
+    },
+
+    /**
+     * Adds a reply block and schedules a throttled edit
+     */
+    append(blockText) {
+      if (!blockText) return;
+      text = text ? `${text}\n\n${blockText}` : blockText;
+      if (!editable() || timer) return;
+
+      const wait = Math.max(0, lastEditAt + minIntervalMs - Date.now());
+      timer = setTimeout(() => {
+        timer = null;
+        edit(firstChunk(text));
+      }, wait);
+    },
+
+    /**
+     * Makes the final edit and posts whatever didn't fit
+     * Without any reply text, or when the post can no longer be edited, the
+     * placeholder is deleted. Returns the send results for any additional
+     * posts.
+     */
+    async finish(suffix = "") {
+      clearTimeout(timer);
+      timer = null;
+      await editing;
+
+      // The placeholder's echo may have arrived after start gave up on it
+      if (placeholderResult && !postId) {
+        postId = await resolvePostId(placeholderResult);
+        if (!postId) {
+          runtime?.error?.(`[tlon] Streaming placeholder id never echoed, it can't be removed`);
+        }
+      }
+
+      let chunks = text
+        ? chunkReplyText(`${text}${suffix}`, limit, chunkMarkdownText)
+        : [];
+      if (editable() && chunks.length > 0) {
+        await edit(chunks[0]);
+        if (editable()) {
+          chunks = chunks.slice(1);
+        }
+      }
+
+      return await enqueueTargetDelivery(fromShip, target, async () => {
+        if ((!editable() || !text) && postId) {
+          try {
+            await deletePost(api, fromShip, target, postId);
+          } catch (error) {
+            runtime?.error?.(`[tlon] Failed to delete streaming placeholder: ${error.message}`);
+          }
+        }
+
+        const results = [];
+        for (const chunk of chunks) {
+          results.push(await sendToTarget(api, fromShip, target, chunk));
+        }
+        return results;
+      });
+    },
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * Channel summarization requests for Tlon
+ * Parses what a summary should cover ("last 200 messages", "since
+ * yesterday", "this thread", "from ~ship") and builds the prompts, splitting
+ * large windows into parts that are summarized separately and then combined.
+ */
+
+export const DEFAULT_SUMMARY_COUNT = 50;
+
+// Upper bound on messages fetched for one summary
+export const MAX_SUMMARY_COUNT = 1000;
+
+/**
+ * Maximum characters of history per prompt
+ * Larger windows are summarized map-reduce style: each part on its own,
+ * then the part summaries together.
+ */
+export const SUMMARY_CHUNK_CHARS = 24000;
+
+const TRIGGER_PATTERNS = [
+  /summari[sz]e\s+(this\s+)?(channel|chat|conversation|thread)/i,
+  /what\s+did\s+i\s+miss/i,
+  /catch\s+me\s+up/i,
+  /(channel|thread)\s+summary/i,
+  /tldr/i,
+];
+
+// "summarize"/"summary"/"recap" only count together with a scope
+const SUMMARY_WORD_PATTERN = /\b(summari[sz]e|summary|recap)\b/i;
+
+const COUNT_PATTERN = /\b(?:last|latest|past)\s+(\d{1,5})\s+(?:messages?|posts?|msgs?)\b/i;
+const RELATIVE_PATTERN = /\b(?:(?:last|past)\s+(\d{1,4})|(\d{1,4})\s+\w+\s+ago|since\s+(\d{1,4}))\s*(minute|min|hour|hr|day|week)s?\b/i;
+const AUTHOR_PATTERN = /\bfrom\s+(~[a-z]{3,6}(?:-[a-z]{6})*)(?![a-z-])/i;
+const THREAD_PATTERN = /\b(this|the)\s+thread\b/i;
+
+const UNIT_MS = {
+  minute: 60 * 1000,
+  min: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  hr: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Returns the start of the local day `daysAgo` days before `now`
+ */
+function startOfDay(now, daysAgo = 0) {
+  const date = new Date(now);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - daysAgo);
+  return date.getTime();
+}
+
+/**
+ * Parses the time window of a summary request, or null if it has none
+ * Returns { since, label }.
+ */
+function parseWindow(text, now) {
+  if (/\bsince\s+yesterday\b|\byesterday\b/i.test(text)) {
+    return { since: startOfDay(now, 1), label: "since yesterday" };
+  }
+  if (/\btoday\b/i.test(text)) {
+    return { since: startOfDay(now), label: "today" };
+  }
+  if (/\bthis\s+week\b/i.test(text)) {
+    return { since: now - UNIT_MS.week, label: "in the past week" };
+  }
+
+  const relative = RELATIVE_PATTERN.exec(text);
+  if (relative) {
+    const amount = Number(relative[1] || relative[2] || relative[3]);
+    const unit = relative[4].toLowerCase();
+    const unitName = unit === "min" ? "minute" : unit === "hr" ? "hour" : unit;
+    return {
+      since: now - amount * UNIT_MS[unit],
+      label: `in the past ${amount} ${unitName}${amount === 1 ? "" : "s"}`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Parses a summarization request
+ * Returns null if the text isn't one, otherwise the scope:
+ * { count, since, thread, author, label }. `count` caps the messages,
+ * `since` (ms) limits them to a time window, `thread` asks for the current
+ * thread and `author` for one ship's messages.
+ */
+export function parseSummaryRequest(text, now = Date.now()) {
+  if (!text) return null;
+
+  const countMatch = COUNT_PATTERN.exec(text);
+  const window = parseWindow(text, now);
+  const authorMatch = AUTHOR_PATTERN.exec(text);
+  const thread = THREAD_PATTERN.test(text);
+
+  const triggered = TRIGGER_PATTERNS.some((pattern) => pattern.test(text))
+    || (SUMMARY_WORD_PATTERN.test(text) && Boolean(countMatch || window || authorMatch || thread));
+  if (!triggered) return null;
+
+  // A time window or thread without an explicit count is covered whole
+  const count = countMatch
+    ? Math.min(Number(countMatch[1]), MAX_SUMMARY_COUNT)
+    : window || thread ? MAX_SUMMARY_COUNT : DEFAULT_SUMMARY_COUNT;
+  const author = authorMatch ? authorMatch[1].toLowerCase() : null;
+
+  const parts = [];
+  if (thread) parts.push("this thread");
+  else if (countMatch || !window) parts.push(`the last ${count} messages`);
+  else parts.push("messages");
+  if (window) parts.push(window.label);
+  if (author) parts.push(`from ${author}`);
+
+  return {
+    count,
+    since: window?.since ?? null,
+    thread,
+    author,
+    label: parts.join(" "),
+  };
+}
+
+/**
+ * Applies a request's author, time and count limits to history
+ * History is newest first, as returned by the history fetchers.
+ */
+export function filterHistory(messages, { count, since, author }) {
+  return messages
+    .filter((msg) => !since || msg.timestamp >= since)
+    .filter((msg) => !author || msg.author === author)
+    .slice(0, count);
+}
+
+/**
+ * Formats history (newest first) as transcript lines, oldest first
+ */
+export function formatHistoryLines(messages) {
+  return [...messages]
+    .reverse()
+    .map((msg) => `[${new Date(msg.timestamp).toLocaleString()}] ${msg.author}: ${msg.content}`);
+}
+
+/**
+ * Splits transcript lines into parts of at most `maxChars` characters
+ * A single line longer than the limit becomes its own part.
+ */
+export function chunkHistoryLines(lines, maxChars = SUMMARY_CHUNK_CHARS) {
+  const parts = [];
+  let current = [];
+  let size = 0;
+  for (const line of lines) {
+    if (current.length > 0 && size + line.length + 1 > maxChars) {
+      parts.push(current.join("\n"));
+      current = [];
+      size = 0;
+    }
+    current.push(line);
+    size += line.length + 1;
+  }
+  if (current.length > 0) parts.push(current.join("\n"));
+  return parts;
+}
+
+const SUMMARY_POINTS = "Provide a concise summary highlighting:\n1. Main topics discussed\n2. Key decisions or conclusions\n3. Action items if any\n4. Notable participants";
+
+/**
+ * Builds the prompt for summarizing a transcript in one go
+ */
+export function buildSummaryPrompt({ label, count, transcript }) {
+  return `Please summarize ${label} in this channel (${count} messages):\n\n${transcript}\n\n${SUMMARY_POINTS}`;
+}
+
+/**
+ * Builds the prompt for summarizing one part of a large transcript
+ */
+export function buildPartSummaryPrompt({ label, part, total, transcript }) {
+  return `This is part ${part} of ${total} of a channel conversation (${label}). Summarize this part on its own: topics, decisions, action items and who was involved. Be brief; the part summaries will be combined later.\n\n${transcript}`;
+}
+
+/**
+ * Builds the prompt that combines part summaries into the final summary
+ */
+export function buildCombinedSummaryPrompt({ label, count, summaries }) {
+  const parts = summaries
+    .map((summary, index) => `Part ${index + 1}:\n${summary}`)
+    .join("\n\n");
+  return `Please summarize ${label} in this channel (${count} messages). The conversation was too long to read at once, so here are summaries of its consecutive parts, oldest first:\n\n${parts}\n\nCombine them into one summary. ${SUMMARY_POINTS}`;
+}
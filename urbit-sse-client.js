@@ -5,11 +5,84 @@
 
 import { Readable } from "stream";
 
+// Events are acked once this many are unacked, or after the delay below
+const ACK_BATCH_SIZE = 20;
+const ACK_DELAY_MS = 1000;
+
+// Statuses eyre answers with for a missing, expired or foreign session
+const AUTH_FAILURE_STATUSES = new Set([401, 403]);
+
+// How long a poke waits for the ship's ack by default
+const POKE_ACK_TIMEOUT_MS = 30000;
+
+/**
+ * Error for credentials the ship rejects (wrong or rotated +code)
+ */
+export class UrbitAuthError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "UrbitAuthError";
+    this.status = status;
+  }
+}
+
+/**
+ * Error for a poke the ship rejected (nack), with the ship's error trace
+ */
+export class UrbitPokeError extends Error {
+  constructor(message, trace) {
+    super(message);
+    this.name = "UrbitPokeError";
+    this.trace = trace;
+  }
+}
+
+/**
+ * Authenticate and get cookie
+ */
+export async function authenticate(url, code) {
+  const resp = await fetch(`${url}/~/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: `password=${code}`,
+  });
+
+  // Eyre answers a wrong +code with 400 and its login form again; any other
+  // 400 (e.g. from a proxy or a wrong URL) is not an auth failure
+  const body = resp.status === 400 ? await resp.text().catch(() => "") : "";
+  if (AUTH_FAILURE_STATUSES.has(resp.status) || /name=["']?password/i.test(body)) {
+    throw new UrbitAuthError(
+      `Login rejected with status ${resp.status}: check the ship's +code`,
+      resp.status
+    );
+  }
+  if (!resp.ok) {
+    throw new Error(`Login failed with status ${resp.status}`);
+  }
+
+  // Read and discard the token body
+  await resp.text();
+
+  // Extract cookie
+  const cookie = resp.headers.get("set-cookie");
+  if (!cookie) {
+    throw new Error("No authentication cookie received");
+  }
+
+  return cookie;
+}
+
 export class UrbitSSEClient {
   constructor(url, cookie, options = {}) {
     this.url = url;
     // Extract just the cookie value (first part before semicolon)
     this.cookie = cookie.split(";")[0];
+    // Login code for renewing the session, and the last auth failure
+    this.code = options.code || null;
+    this.onAuthError = options.onAuthError || null;
+    this.onAuthRestored = options.onAuthRestored || null;
+    this.authError = null;
+    this.loginPromise = null;
     this.channelId = `${Math.floor(Date.now() / 1000)}-${Math.random()
       .toString(36)
       .substring(2, 8)}`;
@@ -19,46 +92,204 @@ export class UrbitSSEClient {
     this.aborted = false;
     this.streamController = null;
 
+    // Subscriptions the ship has on the current channel, and ones dropped
+    // while disconnected that it still has to be told about
+    this.activeSubscriptionIds = new Set();
+    this.pendingUnsubscribes = [];
+
+    // Channel action ids (unique for the client's lifetime, across
+    // channels), and the event ids seen and acked on this channel
+    this.lastActionId = 0;
+    this.lastEventId = null;
+    this.lastAckedEventId = null;
+    this.ackTimer = null;
+
     // Reconnection settings
     this.onReconnect = options.onReconnect || null;
+    this.onReconnected = options.onReconnected || null;
+    this.onReconnectState = options.onReconnectState || null;
+    this.onReconnectFailed = options.onReconnectFailed || null;
     this.autoReconnect = options.autoReconnect !== false; // Default true
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = options.maxReconnectAttempts || 10;
     this.reconnectDelay = options.reconnectDelay || 1000; // Start at 1s
     this.maxReconnectDelay = options.maxReconnectDelay || 30000; // Max 30s
     this.isConnected = false;
+    this.lastReconnectError = null;
+    this.nextRetryAt = null;
+
+    // Pokes waiting for their ack, by poke id. Acks arrive on the stream,
+    // so pokes are only tracked once connect() has opened it.
+    this.pokeAckTimeout = options.pokeAckTimeout || POKE_ACK_TIMEOUT_MS;
+    this.pendingPokes = new Map();
+    this.streamOpened = false;
   }
 
   /**
    * Subscribe to an Urbit path
+   * Before connect() the subscription is sent with the channel creation;
+   * on a live channel it is sent right away. Either way it is restored
+   * after reconnects until unsubscribed.
    */
   async subscribe({ app, path, event, err, quit }) {
-    const subId = this.subscriptions.length + 1;
-
-    this.subscriptions.push({
+    const subId = this.nextActionId();
+    const subscription = {
       id: subId,
       action: "subscribe",
       ship: this.url.match(/\/\/([^.]+)/)[1].replace("~", ""),
       app,
       path,
-    });
+    };
+
+    this.subscriptions.push(subscription);
 
     // Store event handlers
     this.eventHandlers.set(subId, { event, err, quit });
 
+    if (this.isConnected) {
+      try {
+        await this.putActions([subscription]);
+        this.activeSubscriptionIds.add(subId);
+      } catch (error) {
+        this.removeSubscription(subId);
+        throw new Error(`Subscribe to ${app}${path} failed: ${error.message}`);
+      }
+    }
+
     return subId;
   }
 
+  /**
+   * End a subscription
+   * While disconnected, the unsubscribe is sent once the channel resumes.
+   */
+  async unsubscribe(subId) {
+    const wasActive = this.activeSubscriptionIds.has(subId);
+    this.removeSubscription(subId);
+    if (!wasActive) return;
+
+    if (!this.isConnected) {
+      this.pendingUnsubscribes.push(subId);
+      return;
+    }
+    await this.putActions([
+      { id: this.nextActionId(), action: "unsubscribe", subscription: subId },
+    ]);
+  }
+
+  /**
+   * Forgets a subscription and its handlers
+   */
+  removeSubscription(subId) {
+    this.subscriptions = this.subscriptions.filter((sub) => sub.id !== subId);
+    this.eventHandlers.delete(subId);
+    this.activeSubscriptionIds.delete(subId);
+  }
+
+  /**
+   * Makes a request with the session cookie
+   * A 401/403 means the session expired or was replaced: the client logs in
+   * again with its code (once, however many requests noticed) and retries.
+   * Rejected credentials throw UrbitAuthError.
+   */
+  async request(url, { headers = {}, ...init } = {}) {
+    const send = () => fetch(url, { ...init, headers: { ...headers, Cookie: this.cookie } });
+
+    let response = await send();
+    if (!AUTH_FAILURE_STATUSES.has(response.status)) return response;
+    await response.text().catch(() => {});
+
+    if (!this.code) {
+      throw this.reportAuthError(
+        new UrbitAuthError(`Request rejected with status ${response.status} and no code to log in again`, response.status)
+      );
+    }
+    await this.relogin();
+
+    response = await send();
+    if (AUTH_FAILURE_STATUSES.has(response.status)) {
+      // The login worked, so this resource itself is off limits (e.g. a
+      // channel owned by the previous session)
+      const error = new Error(`Request rejected with status ${response.status} after logging in again`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  /**
+   * Logs in again with the configured code
+   * Concurrent callers share one login.
+   */
+  async relogin() {
+    if (!this.loginPromise) {
+      console.log("[SSE] Session rejected, logging in again...");
+      this.loginPromise = authenticate(this.url, this.code)
+        .then((cookie) => {
+          this.cookie = cookie.split(";")[0];
+          console.log("[SSE] Logged in again");
+          this.clearAuthError();
+        })
+        .catch((error) => {
+          if (error instanceof UrbitAuthError) this.reportAuthError(error);
+          throw error;
+        })
+        .finally(() => {
+          this.loginPromise = null;
+        });
+    }
+    return this.loginPromise;
+  }
+
+  /**
+   * Forgets an earlier authentication failure once the session works again
+   */
+  clearAuthError() {
+    if (!this.authError) return;
+    this.authError = null;
+    if (this.onAuthRestored) {
+      this.onAuthRestored();
+    }
+  }
+
+  /**
+   * Records an authentication failure and notifies the owner
+   */
+  reportAuthError(error) {
+    this.authError = error;
+    console.error(`[SSE] Authentication failed: ${error.message}`);
+    if (this.onAuthError) {
+      this.onAuthError(error);
+    }
+    return error;
+  }
+
+  /**
+   * Sends actions to the current channel
+   */
+  async putActions(actions) {
+    const response = await this.request(this.channelUrl, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(actions),
+    });
+
+    if (!response.ok && response.status !== 204) {
+      throw new Error(`Channel request failed: ${response.status}`);
+    }
+  }
+
   /**
    * Create the channel and start listening for events
    */
   async connect() {
     // Create channel with all subscriptions
-    const createResp = await fetch(this.channelUrl, {
+    const createResp = await this.request(this.channelUrl, {
       method: "PUT",
       headers: {
         "Content-Type": "application/json",
-        Cookie: this.cookie,
       },
       body: JSON.stringify(this.subscriptions),
     });
@@ -66,18 +297,19 @@ export class UrbitSSEClient {
     if (!createResp.ok && createResp.status !== 204) {
       throw new Error(`Channel creation failed: ${createResp.status}`);
     }
+    this.activeSubscriptionIds = new Set(this.subscriptions.map((sub) => sub.id));
+    this.pendingUnsubscribes = [];
 
     // Send helm-hi poke to activate the channel
     // This is required before opening the SSE stream
-    const pokeResp = await fetch(this.channelUrl, {
+    const pokeResp = await this.request(this.channelUrl, {
       method: "PUT",
       headers: {
         "Content-Type": "application/json",
-        Cookie: this.cookie,
       },
       body: JSON.stringify([
         {
-          id: Date.now(),
+          id: this.nextActionId(),
           action: "poke",
           ship: this.url.match(/\/\/([^.]+)/)[1].replace("~", ""),
           app: "hood",
@@ -93,24 +325,41 @@ export class UrbitSSEClient {
 
     // Open SSE stream
     await this.openStream();
+    this.streamOpened = true;
     this.isConnected = true;
     this.reconnectAttempts = 0; // Reset on successful connection
   }
 
+  /**
+   * Returns the next id for a channel action
+   */
+  nextActionId() {
+    this.lastActionId += 1;
+    return this.lastActionId;
+  }
+
   /**
    * Open the SSE stream and process events
+   * When events were already received on this channel, the stream resumes
+   * after the last one (Last-Event-ID) and the ship replays anything unacked.
    */
   async openStream() {
-    const response = await fetch(this.channelUrl, {
+    const headers = {
+      Accept: "text/event-stream",
+    };
+    if (this.lastEventId !== null) {
+      headers["Last-Event-ID"] = String(this.lastEventId);
+    }
+
+    const response = await this.request(this.channelUrl, {
       method: "GET",
-      headers: {
-        Accept: "text/event-stream",
-        Cookie: this.cookie,
-      },
+      headers,
     });
 
     if (!response.ok) {
-      throw new Error(`Stream connection failed: ${response.status}`);
+      const error = new Error(`Stream connection failed: ${response.status}`);
+      error.status = response.status;
+      throw error;
     }
 
     // Start processing the stream in the background (don't await)
@@ -158,6 +407,7 @@ export class UrbitSSEClient {
       // Stream ended (either normally or due to error)
       if (!this.aborted && this.autoReconnect) {
         this.isConnected = false;
+        this.reportReconnectState();
         console.log("[SSE] Stream ended, attempting reconnection...");
         await this.attemptReconnect();
       }
@@ -180,6 +430,10 @@ export class UrbitSSEClient {
       }
     }
 
+    if (id !== null) {
+      this.trackEvent(Number(id));
+    }
+
     if (!data) return;
 
     try {
@@ -189,12 +443,31 @@ export class UrbitSSEClient {
       if (parsed.response === "quit") {
         console.log(`[SSE] Received quit event for subscription ${parsed.id}`);
         const handlers = this.eventHandlers.get(parsed.id);
+        // The ship has dropped it, so it must not be restored on reconnect
+        this.removeSubscription(parsed.id);
+        if (handlers && handlers.quit) {
+          handlers.quit();
+        }
+        return;
+      }
+
+      // A rejected subscription (watch nack) ends like a quit
+      if (parsed.response === "subscribe" && parsed.err) {
+        console.error(`[SSE] Subscription ${parsed.id} was rejected: ${String(parsed.err).substring(0, 200)}`);
+        const handlers = this.eventHandlers.get(parsed.id);
+        this.removeSubscription(parsed.id);
         if (handlers && handlers.quit) {
           handlers.quit();
         }
         return;
       }
 
+      // Poke acks and nacks settle the matching poke
+      if (parsed.response === "poke") {
+        this.settlePoke(parsed);
+        return;
+      }
+
       // Debug: Log received events (skip subscription confirmations)
       if (parsed.response !== "subscribe" && parsed.response !== "poke") {
         console.log("[SSE] Received event:", JSON.stringify(parsed).substring(0, 500));
@@ -207,7 +480,7 @@ export class UrbitSSEClient {
           console.log(`[SSE] Calling handler for subscription ${parsed.id}`);
           event(parsed.json);
         }
-      } else if (parsed.json) {
+      } else if (parsed.json && !parsed.id) {
         // Try to match by response structure for events without specific ID
         console.log(`[SSE] Broadcasting event to all handlers`);
         for (const { event } of this.eventHandlers.values()) {
@@ -221,11 +494,147 @@ export class UrbitSSEClient {
     }
   }
 
+  /**
+   * Records a received event id and schedules its ack
+   * Eyre keeps every unacked event queued for the channel, so events are
+   * acked in batches: right away once ACK_BATCH_SIZE are pending, otherwise
+   * after ACK_DELAY_MS. An ack covers all earlier events too.
+   */
+  trackEvent(eventId) {
+    if (!Number.isFinite(eventId)) return;
+    if (this.lastEventId !== null && eventId <= this.lastEventId) return;
+    this.lastEventId = eventId;
+
+    const pending = eventId - (this.lastAckedEventId ?? 0);
+    if (pending >= ACK_BATCH_SIZE) {
+      this.flushAck();
+    } else if (!this.ackTimer) {
+      this.ackTimer = setTimeout(() => this.flushAck(), ACK_DELAY_MS);
+      this.ackTimer.unref?.();
+    }
+  }
+
+  /**
+   * Acks the last received event
+   */
+  async flushAck() {
+    clearTimeout(this.ackTimer);
+    this.ackTimer = null;
+
+    const eventId = this.lastEventId;
+    if (eventId === null || eventId === this.lastAckedEventId) return;
+    this.lastAckedEventId = eventId;
+
+    try {
+      await this.putActions([
+        { id: this.nextActionId(), action: "ack", "event-id": eventId },
+      ]);
+    } catch (error) {
+      // Leave the events unacked so the next ack covers them
+      if (this.lastAckedEventId === eventId) {
+        this.lastAckedEventId = null;
+      }
+      console.error(`[SSE] Failed to ack event ${eventId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reopens the stream of the current channel
+   * Subscriptions added or ended while disconnected are sent first.
+   * Returns false when the ship no longer has the channel.
+   */
+  async resumeStream() {
+    try {
+      await this.openStream();
+    } catch (error) {
+      // Gone, or owned by a session that has since been replaced
+      if (error.status === 404 || (error.status === 403 && !(error instanceof UrbitAuthError))) {
+        return false;
+      }
+      throw error;
+    }
+
+    const added = this.subscriptions.filter((sub) => !this.activeSubscriptionIds.has(sub.id));
+    const removed = this.pendingUnsubscribes.map((subId) => ({
+      id: this.nextActionId(),
+      action: "unsubscribe",
+      subscription: subId,
+    }));
+    if (added.length > 0 || removed.length > 0) {
+      this.pendingUnsubscribes = [];
+      try {
+        await this.putActions([...removed, ...added]);
+        for (const sub of added) this.activeSubscriptionIds.add(sub.id);
+      } catch (error) {
+        // The stream is already open, so report the new subscriptions as
+        // ended rather than failing the reconnect
+        console.error(`[SSE] Failed to update subscriptions on resume: ${error.message}`);
+        for (const sub of added) {
+          const handlers = this.eventHandlers.get(sub.id);
+          this.removeSubscription(sub.id);
+          handlers?.quit?.();
+        }
+      }
+    }
+
+    this.isConnected = true;
+    this.reconnectAttempts = 0;
+    return true;
+  }
+
+  /**
+   * Waits for the ack of a poke, up to pokeAckTimeout
+   */
+  waitForPokeAck(pokeId, app) {
+    const acked = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingPokes.delete(pokeId);
+        reject(new Error(`No ack for poke ${pokeId} to ${app} within ${this.pokeAckTimeout}ms`));
+      }, this.pokeAckTimeout);
+      this.pendingPokes.set(pokeId, { app, resolve, reject, timer });
+    });
+    // Handled by the caller once the PUT is through; don't flag it early
+    acked.catch(() => {});
+    return acked;
+  }
+
+  /**
+   * Settles a pending poke from its ack (`ok`) or nack (`err` trace)
+   */
+  settlePoke({ id, err }) {
+    const pending = this.pendingPokes.get(id);
+    if (!pending) return;
+    this.pendingPokes.delete(id);
+    clearTimeout(pending.timer);
+
+    if (err) {
+      const trace = Array.isArray(err) ? err.join("\n") : String(err);
+      console.error(`[SSE] Poke ${id} to ${pending.app} was rejected: ${trace.substring(0, 500)}`);
+      pending.reject(new UrbitPokeError(`Poke to ${pending.app} was rejected: ${trace.substring(0, 500)}`, trace));
+    } else {
+      pending.resolve();
+    }
+  }
+
+  /**
+   * Fails every poke still waiting for an ack
+   */
+  rejectPendingPokes(reason) {
+    for (const [pokeId, pending] of this.pendingPokes) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error(`${reason} before poke ${pokeId} to ${pending.app} was acknowledged`));
+    }
+    this.pendingPokes.clear();
+  }
+
   /**
    * Send a poke to Urbit
+   * Resolves once the ship acks the poke and rejects on a nack
+   * (UrbitPokeError) or when no ack arrives in time. Before connect() there
+   * is no stream to carry the ack, so the accepted PUT has to do.
    */
   async poke({ app, mark, json }) {
-    const pokeId = Date.now();
+    const pokeId = this.nextActionId();
 
     const pokeData = {
       id: pokeId,
@@ -236,25 +645,41 @@ export class UrbitSSEClient {
       json,
     };
 
+    // Registered first: the ack can arrive before the PUT returns
+    const acked = this.streamOpened ? this.waitForPokeAck(pokeId, app) : null;
+    const cancelAck = () => {
+      clearTimeout(this.pendingPokes.get(pokeId)?.timer);
+      this.pendingPokes.delete(pokeId);
+    };
+
     console.log(`[SSE] Sending poke to ${app}:`, JSON.stringify(pokeData).substring(0, 300));
 
-    const response = await fetch(this.channelUrl, {
-      method: "PUT",
-      headers: {
-        "Content-Type": "application/json",
-        Cookie: this.cookie,
-      },
-      body: JSON.stringify([pokeData]),
-    });
+    let response;
+    try {
+      response = await this.request(this.channelUrl, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify([pokeData]),
+      });
+    } catch (error) {
+      cancelAck();
+      throw error;
+    }
 
     console.log(`[SSE] Poke response status: ${response.status}`);
 
     if (!response.ok && response.status !== 204) {
+      cancelAck();
       const errorText = await response.text();
       console.log(`[SSE] Poke error body: ${errorText.substring(0, 500)}`);
       throw new Error(`Poke failed: ${response.status} - ${errorText}`);
     }
 
+    if (acked) {
+      await acked;
+    }
     return pokeId;
   }
 
@@ -264,11 +689,8 @@ export class UrbitSSEClient {
   async scry(path) {
     const scryUrl = `${this.url}/~/scry${path}`;
 
-    const response = await fetch(scryUrl, {
+    const response = await this.request(scryUrl, {
       method: "GET",
-      headers: {
-        Cookie: this.cookie,
-      },
     });
 
     if (!response.ok) {
@@ -278,58 +700,124 @@ export class UrbitSSEClient {
     return await response.json();
   }
 
+  /**
+   * Reports the connection state to the owner
+   */
+  reportReconnectState() {
+    if (!this.onReconnectState) return;
+    this.onReconnectState({
+      connected: this.isConnected,
+      attempts: this.reconnectAttempts,
+      lastError: this.lastReconnectError?.message ?? null,
+      nextRetryAt: this.nextRetryAt,
+    });
+  }
+
   /**
    * Attempt to reconnect with exponential backoff
+   * Retries until connected, up to maxReconnectAttempts (which may be
+   * Infinity). Giving up, or a rejected login code, is reported through
+   * onReconnectFailed.
    */
   async attemptReconnect() {
-    if (this.aborted || !this.autoReconnect) {
-      console.log("[SSE] Reconnection aborted or disabled");
-      return;
-    }
+    while (true) {
+      if (this.aborted || !this.autoReconnect) {
+        console.log("[SSE] Reconnection aborted or disabled");
+        return;
+      }
+
+      if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+        console.error(
+          `[SSE] Max reconnection attempts (${this.maxReconnectAttempts}) reached. Giving up.`
+        );
+        this.nextRetryAt = null;
+        this.reportReconnectState();
+        if (this.onReconnectFailed) {
+          this.onReconnectFailed(this.lastReconnectError || new Error("Reconnection failed"));
+        }
+        return;
+      }
+
+      this.reconnectAttempts++;
 
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      console.error(
-        `[SSE] Max reconnection attempts (${this.maxReconnectAttempts}) reached. Giving up.`
+      // Calculate delay with exponential backoff
+      const delay = Math.min(
+        this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1),
+        this.maxReconnectDelay
       );
-      return;
-    }
+      this.nextRetryAt = Date.now() + delay;
+      this.reportReconnectState();
 
-    this.reconnectAttempts++;
+      const limit = Number.isFinite(this.maxReconnectAttempts) ? `/${this.maxReconnectAttempts}` : "";
+      console.log(
+        `[SSE] Reconnection attempt ${this.reconnectAttempts}${limit} in ${delay}ms...`
+      );
 
-    // Calculate delay with exponential backoff
-    const delay = Math.min(
-      this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1),
-      this.maxReconnectDelay
-    );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      if (this.aborted) return;
 
-    console.log(
-      `[SSE] Reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${delay}ms...`
-    );
+      let resumed = false;
+      try {
+        // Call reconnect callback if provided
+        if (this.onReconnect) {
+          await this.onReconnect(this);
+        }
 
-    await new Promise((resolve) => setTimeout(resolve, delay));
+        // Resume the existing channel; the ship replays unacked events
+        resumed = await this.resumeStream();
 
-    try {
-      // Generate new channel ID for reconnection
-      this.channelId = `${Math.floor(Date.now() / 1000)}-${Math.random()
-        .toString(36)
-        .substring(2, 8)}`;
-      this.channelUrl = `${this.url}/~/channel/${this.channelId}`;
+        if (resumed) {
+          console.log(`[SSE] Resumed channel ${this.channelId} after event ${this.lastEventId}`);
+        } else {
+          // The channel is gone: generate a new channel ID and subscribe again
+          this.channelId = `${Math.floor(Date.now() / 1000)}-${Math.random()
+            .toString(36)
+            .substring(2, 8)}`;
+          this.channelUrl = `${this.url}/~/channel/${this.channelId}`;
+          this.lastEventId = null;
+          this.lastAckedEventId = null;
+          clearTimeout(this.ackTimer);
+          this.ackTimer = null;
+
+          console.log(`[SSE] Reconnecting with new channel ID: ${this.channelId}`);
+
+          // Acks for pokes on the old channel will never arrive
+          this.rejectPendingPokes("Channel was replaced");
 
-      console.log(`[SSE] Reconnecting with new channel ID: ${this.channelId}`);
+          await this.connect();
+        }
 
-      // Call reconnect callback if provided
-      if (this.onReconnect) {
-        await this.onReconnect(this);
+        console.log("[SSE] Reconnection successful!");
+        this.clearAuthError();
+      } catch (error) {
+        console.error(`[SSE] Reconnection failed: ${error.message}`);
+        this.lastReconnectError = error;
+        // Retrying can't fix rejected credentials
+        if (error instanceof UrbitAuthError) {
+          console.error("[SSE] Not reconnecting: the ship rejected the login code");
+          this.nextRetryAt = null;
+          this.reportReconnectState();
+          if (this.onReconnectFailed) {
+            this.onReconnectFailed(error);
+          }
+          return;
+        }
+        // Try again
+        continue;
       }
 
-      // Reconnect
-      await this.connect();
+      this.nextRetryAt = null;
+      this.reportReconnectState();
 
-      console.log("[SSE] Reconnection successful!");
-    } catch (error) {
-      console.error(`[SSE] Reconnection failed: ${error.message}`);
-      // Try again
-      await this.attemptReconnect();
+      // Let the caller catch up on events missed while disconnected
+      if (this.onReconnected) {
+        try {
+          await this.onReconnected(this, { resumed });
+        } catch (error) {
+          console.error(`[SSE] Reconnected callback failed: ${error.message}`);
+        }
+      }
+      return;
     }
   }
 
@@ -339,30 +827,29 @@ export class UrbitSSEClient {
   async close() {
     this.aborted = true;
     this.isConnected = false;
+    clearTimeout(this.ackTimer);
+    this.ackTimer = null;
+    this.rejectPendingPokes("Channel closed");
 
     try {
       // Send unsubscribe for all subscriptions
       const unsubscribes = this.subscriptions.map((sub) => ({
-        id: sub.id,
+        id: this.nextActionId(),
         action: "unsubscribe",
         subscription: sub.id,
       }));
 
-      await fetch(this.channelUrl, {
+      await this.request(this.channelUrl, {
         method: "PUT",
         headers: {
           "Content-Type": "application/json",
-          Cookie: this.cookie,
         },
         body: JSON.stringify(unsubscribes),
       });
 
       // Delete the channel
-      await fetch(this.channelUrl, {
+      await this.request(this.channelUrl, {
         method: "DELETE",
-        headers: {
-          Cookie: this.cookie,
-        },
       });
     } catch (error) {
       console.error("Error closing channel:", error);